@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// cli.js
+
+// Headless runner: solves problem files with the same parser and solvers as the web page.
+// Problem files can be in the text input format or the JSON format (see schema/). INCLUDE lines name
+// fragment files relative to the problem file.
+// Exits with 1 if any problem could not be solved, 2 on usage or parse errors.
+
+const fs = require('fs');
+const path = require('path');
+const { parseSeed } = require('./js/utils.js');
+const { problemToJson, formatProblemText, parseProblemInput, resultToJson } = require('./js/problem-json.js');
+const { createPortalSolver } = require('./js/exact-solver.js');
+const { generatePortalCommands, formatSolutionText, formatLinkDistancesText } = require('./js/format.js');
+
+const USAGE = `Usage: node cli.js [options] <problem-file>...
+
+Options:
+  --mode <auto|exact|annealing>  Solver to use (default: auto)
+  --format <text|json>           Output format (default: text)
+  --convert <text|json>          Print the problem in canonical text or JSON form instead of solving it
+  --seed <number>                Random seed, overrides SEED in the problem files
+  --distances                    Include inter-dimensional link distances in text output
+  --verbose                      Print solver status messages to stderr
+  --help                         Show this help`;
+
+function parseArgs(argv) {
+	const options = { mode: 'auto', format: 'text', distances: false, verbose: false, files: [] };
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		switch (arg) {
+			case '--mode':
+				options.mode = argv[++i];
+				if (!['auto', 'exact', 'annealing'].includes(options.mode)) {
+					throw new Error(`Invalid --mode '${options.mode}'`);
+				}
+				break;
+			case '--format':
+				options.format = argv[++i];
+				if (!['text', 'json'].includes(options.format)) {
+					throw new Error(`Invalid --format '${options.format}'`);
+				}
+				break;
+			case '--convert':
+				options.convert = argv[++i];
+				if (!['text', 'json'].includes(options.convert)) {
+					throw new Error(`Invalid --convert '${options.convert}'`);
+				}
+				break;
+			case '--seed':
+				options.seed = parseSeed(argv[++i] || '');
+				if (options.seed === null) {
+					throw new Error('--seed must be an integer between 0 and 4294967295');
+				}
+				break;
+			case '--distances':
+				options.distances = true;
+				break;
+			case '--verbose':
+				options.verbose = true;
+				break;
+			case '--help':
+				options.help = true;
+				break;
+			default:
+				if (arg.startsWith('--')) throw new Error(`Unknown option '${arg}'`);
+				options.files.push(arg);
+		}
+	}
+
+	if (!options.help && options.files.length === 0) {
+		throw new Error('No problem files given');
+	}
+	if (options.convert && options.files.length !== 1) {
+		throw new Error('--convert takes exactly one problem file');
+	}
+	return options;
+}
+
+function readProblemFile(file) {
+	const resolveInclude = (name) => {
+		const fragmentFile = path.resolve(path.dirname(file), name);
+		if (!fs.existsSync(fragmentFile)) throw new Error(`INCLUDE file ${fragmentFile} not found`);
+		return fs.readFileSync(fragmentFile, 'utf8');
+	};
+	return parseProblemInput(fs.readFileSync(file, 'utf8'), { resolveInclude });
+}
+
+async function solveFile(file, options) {
+	const problem = readProblemFile(file);
+	if (options.seed !== undefined) problem.seed = options.seed;
+
+	const statusCallback = (message) => {
+		if (options.verbose) console.error(`[${file}] ${message}`);
+	};
+	const progressCallback = (iteration, maxIterations, temperature, cost) => {
+		if (options.verbose) {
+			console.error(
+				`[${file}] Optimizing... Iteration ${iteration}/${maxIterations} | Best Cost: ${cost.toFixed(2)}`
+			);
+		}
+	};
+
+	const solver = createPortalSolver(options.mode, problem, statusCallback, progressCallback);
+	const result = await solver.solve();
+	return { problem, result, commands: generatePortalCommands(problem, result.solution) };
+}
+
+function formatText(file, { problem, result, commands }, options) {
+	let text = `=== ${file} ===\n`;
+	text += formatSolutionText(problem, result);
+	if (options.distances) {
+		text += '\n--- Inter-Dimensional Link Distances ---\n';
+		text += formatLinkDistancesText(result);
+	}
+	if (commands.length > 0) {
+		text += '\n--- Generated Commands ---\n';
+		text += commands.join('\n') + '\n';
+	}
+	return text;
+}
+
+// --convert: prints the problem in the other format, e.g. to turn a text problem into JSON and back
+function convertFile(file, options) {
+	let problem;
+	try {
+		problem = readProblemFile(file);
+	} catch (error) {
+		console.error(`Error in ${file}: ${error.message}`);
+		return 2;
+	}
+	if (options.convert === 'json') {
+		console.log(JSON.stringify(problemToJson(problem), null, 2));
+	} else {
+		process.stdout.write(formatProblemText(problem));
+	}
+	return 0;
+}
+
+async function main() {
+	let options;
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (error) {
+		console.error(`Error: ${error.message}\n\n${USAGE}`);
+		return 2;
+	}
+	if (options.help) {
+		console.log(USAGE);
+		return 0;
+	}
+
+	if (options.convert) return convertFile(options.files[0], options);
+
+	let exitCode = 0;
+	const jsonResults = [];
+
+	for (const file of options.files) {
+		let solved;
+		try {
+			solved = await solveFile(file, options);
+		} catch (error) {
+			console.error(`Error in ${file}: ${error.message}`);
+			if (options.format === 'json') jsonResults.push({ file: file, error: error.message });
+			exitCode = 2;
+			continue;
+		}
+
+		if (!solved.result.success && exitCode === 0) exitCode = 1;
+
+		if (options.format === 'json') {
+			jsonResults.push({ file: file, ...resultToJson(solved.problem, solved.result) });
+		} else {
+			console.log(formatText(file, solved, options));
+		}
+	}
+
+	if (options.format === 'json') {
+		console.log(JSON.stringify(jsonResults, null, 2));
+	}
+	return exitCode;
+}
+
+main()
+	.then((exitCode) => {
+		process.exitCode = exitCode;
+	})
+	.catch((error) => {
+		console.error(`Error: ${error.message}`);
+		process.exitCode = 2;
+	});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// import-world.js
+
+// Headless world import: prints problem input lines for the nether portals in an area of a world save.
+// Exits with 2 on usage errors or if the world has no POI folders.
+
+const fs = require('fs');
+const path = require('path');
+const { importWorldPortals, formatImportedPortals } = require('./js/world-import.js');
+
+const USAGE = `Usage: node import-world.js [options] <world-folder> <minX> <minZ> <maxX> <maxZ>
+
+The area is given in Overworld X/Z, Nether portals are imported from the same area divided by 8.
+
+Options:
+  --as <fixed|foreign|portal>  Import as FIXED or FOREIGN portals, or as PORTAL with a POS box (default: fixed)
+  --prefix <name>              Prefix of the portal names (default: Existing)
+  --help                       Show this help`;
+
+function parseArgs(argv) {
+	const options = { mode: 'FIXED', prefix: 'Existing', positional: [] };
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		switch (arg) {
+			case '--as':
+				options.mode = (argv[++i] || '').toUpperCase();
+				if (!['FIXED', 'FOREIGN', 'PORTAL'].includes(options.mode)) {
+					throw new Error(`Invalid --as '${argv[i]}'`);
+				}
+				break;
+			case '--prefix':
+				options.prefix = argv[++i];
+				if (!options.prefix || /\s/.test(options.prefix))
+					throw new Error('--prefix must be a name without spaces');
+				break;
+			case '--help':
+				options.help = true;
+				break;
+			default:
+				if (arg.startsWith('--')) throw new Error(`Unknown option '${arg}'`);
+				options.positional.push(arg);
+		}
+	}
+
+	if (options.help) return options;
+	if (options.positional.length !== 5) throw new Error('Expected a world folder and an area');
+	const [world, ...coords] = options.positional;
+	const [x1, z1, x2, z2] = coords.map(Number);
+	if ([x1, z1, x2, z2].some((coord) => !Number.isInteger(coord)))
+		throw new Error('Area coordinates must be integers');
+	options.world = world;
+	options.area = { minX: Math.min(x1, x2), minZ: Math.min(z1, z2), maxX: Math.max(x1, x2), maxZ: Math.max(z1, z2) };
+	return options;
+}
+
+// POI region files of the world, as expected by importWorldPortals
+function listPoiRegionFiles(world) {
+	const files = [];
+	for (const folder of ['poi', path.join('DIM-1', 'poi')]) {
+		const dir = path.join(world, folder);
+		if (!fs.existsSync(dir)) continue;
+		for (const name of fs.readdirSync(dir)) {
+			files.push({
+				path: `${folder.split(path.sep).join('/')}/${name}`,
+				read: async () => new Uint8Array(fs.readFileSync(path.join(dir, name))),
+			});
+		}
+	}
+	return files;
+}
+
+async function main() {
+	let options;
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (error) {
+		console.error(`Error: ${error.message}\n\n${USAGE}`);
+		return 2;
+	}
+	if (options.help) {
+		console.log(USAGE);
+		return 0;
+	}
+
+	const regionFiles = listPoiRegionFiles(options.world);
+	if (regionFiles.length === 0) {
+		console.error(`Error: ${options.world} has no poi or DIM-1/poi folder`);
+		return 2;
+	}
+
+	const { portals, warnings } = await importWorldPortals(regionFiles, options.area);
+	for (const warning of warnings) console.error(`Warning: ${warning}`);
+	console.log(formatImportedPortals(portals, options.mode, options.prefix).join('\n'));
+	return 0;
+}
+
+main()
+	.then((exitCode) => {
+		process.exitCode = exitCode;
+	})
+	.catch((error) => {
+		console.error(`Error: ${error.message}`);
+		process.exitCode = 2;
+	});
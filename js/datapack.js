@@ -0,0 +1,184 @@
+// js/datapack.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(
+		globalThis,
+		require('./utils.js'),
+		require('./linking-models.js'),
+		require('./format.js'),
+		require('./zip.js')
+	);
+}
+
+// Function pack export: a Java datapack or Bedrock behavior pack whose functions build the solved portals.
+// The build function clears each portal's surroundings, places the obsidian frame and fills in the portal,
+// the undo function clears the same areas again. The blocks that were there before are not restored.
+
+const DATAPACK_NAMESPACE = 'portal_solver';
+const DATAPACK_DESCRIPTION = 'Nether portals placed by the Nether Portal Solver';
+
+// Blocks cleared around a portal: its frame, plus one block in front of and behind it to step out into
+function getPortalClearArea(portalPos, portal) {
+	const frame = getPortalFrame(portalPos, portal);
+	const depth = portal.face === 'X' ? vec3(1, 0, 0) : vec3(0, 0, 1);
+	return {
+		min: vec3(frame.min.x - depth.x, frame.min.y, frame.min.z - depth.z),
+		max: addVec3(frame.max, depth),
+	};
+}
+
+function formatBox(box) {
+	return `${box.min.x} ${box.min.y} ${box.min.z} ${box.max.x} ${box.max.y} ${box.max.z}`;
+}
+
+// Function commands (without leading slash) that build the solved portals, or remove them again for 'undo'
+function generatePortalFunction(problem, solution, action = 'build') {
+	const syntax = getLinkingModel(problem.version).commands;
+	const lines = [];
+	for (const { name, portal, pos } of getBuiltPortals(problem, solution)) {
+		const prefix = syntax.dimensionPrefix(portal.dim).replace(/^\//, '');
+		const clearArea = getPortalClearArea(pos, portal);
+		lines.push(`# ${name} (${portal.dim}, Face ${portal.face}) at ${pos.x} ${pos.y} ${pos.z}`);
+		lines.push(`${prefix} fill ${formatBox(clearArea)} ${syntax.airBlock}`);
+		if (action === 'undo') continue;
+
+		lines.push(`${prefix} fill ${formatBox(getPortalFrame(pos, portal))} ${syntax.obsidianBlock}`);
+		const portalBlock = syntax.portalBlock(portal.face === 'X' ? 'z' : 'x'); // Axis is opposite of facing
+		if (portal.width === 1 && portal.height === 1) {
+			lines.push(`${prefix} setblock ${pos.x} ${pos.y} ${pos.z} ${portalBlock}${syntax.setblockMode}`);
+		} else {
+			const max = addVec3(pos, getPortalExtent(portal));
+			lines.push(`${prefix} fill ${pos.x} ${pos.y} ${pos.z} ${max.x} ${max.y} ${max.z} ${portalBlock}`);
+		}
+	}
+	return lines;
+}
+
+// Forceload commands for the chunks of all portal areas. Chunks load over the next ticks, so the
+// function that places the blocks has to be scheduled after these.
+function generateForceloadCommands(problem, solution, mode) {
+	const syntax = getLinkingModel(problem.version).commands;
+	return getBuiltPortals(problem, solution).map(({ portal, pos }) => {
+		const area = getPortalClearArea(pos, portal);
+		const prefix = syntax.dimensionPrefix(portal.dim).replace(/^\//, '');
+		return `${prefix} forceload ${mode} ${area.min.x} ${area.min.z} ${area.max.x} ${area.max.z}`;
+	});
+}
+
+// Function files ({ name, lines }) for one action. With forceload the entry function loads the chunks
+// and schedules the one that places the blocks, otherwise the areas have to be loaded by a player.
+function buildActionFunctions(problem, solution, action) {
+	const syntax = getLinkingModel(problem.version).commands;
+	const header = [
+		`# ${action === 'undo' ? 'Removes' : 'Builds'} the portals of the solved layout.`,
+		`# Generated by the Nether Portal Solver on ${new Date().toISOString().slice(0, 10)}.`,
+	];
+	if (action === 'undo') header.push('# The removed areas are left as air, the blocks from before are not restored.');
+	const body = generatePortalFunction(problem, solution, action);
+
+	if (!syntax.forceload) {
+		header.push('# Every portal area must be loaded (a player nearby) when this runs.');
+		return [{ name: action, lines: [...header, ...body] }];
+	}
+
+	const placeName = `${action}_loaded`;
+	return [
+		{
+			name: action,
+			lines: [
+				...header,
+				...generateForceloadCommands(problem, solution, 'add'),
+				`schedule function ${DATAPACK_NAMESPACE}:${placeName} 2s`,
+			],
+		},
+		{
+			name: placeName,
+			lines: [
+				`# Called by ${DATAPACK_NAMESPACE}:${action} once the chunks are loaded.`,
+				...body,
+				...generateForceloadCommands(problem, solution, 'remove'),
+			],
+		},
+	];
+}
+
+// Java datapack: functions are in 'functions' before 1.21 and in 'function' since, both are written
+function createJavaDatapackFiles(functions, packFormat) {
+	const mcmeta = {
+		pack: {
+			pack_format: packFormat,
+			supported_formats: { min_inclusive: packFormat, max_inclusive: 1000 },
+			description: DATAPACK_DESCRIPTION,
+		},
+	};
+	const files = [{ name: 'pack.mcmeta', data: JSON.stringify(mcmeta, null, 2) + '\n' }];
+	for (const folder of ['functions', 'function']) {
+		for (const fn of functions) {
+			files.push({
+				name: `data/${DATAPACK_NAMESPACE}/${folder}/${fn.name}.mcfunction`,
+				data: fn.lines.join('\n') + '\n',
+			});
+		}
+	}
+	return files;
+}
+
+// Version 4 style UUID drawn from a seeded random function, so a pack is the same every time it is built
+function seededUuid(random) {
+	return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+		const value = randomInt(0, 15, random);
+		return (char === 'x' ? value : (value & 0x3) | 0x8).toString(16);
+	});
+}
+
+// Bedrock behavior pack: a manifest with UUIDs derived from the seed and the functions under functions/<namespace>/
+function createBedrockPackFiles(functions, seed) {
+	const random = createRandom(seed);
+	const manifest = {
+		format_version: 2,
+		header: {
+			name: 'Portal Solver',
+			description: DATAPACK_DESCRIPTION,
+			uuid: seededUuid(random),
+			version: [1, 0, 0],
+			min_engine_version: [1, 19, 50], // '/execute in' needs the new execute syntax
+		},
+		modules: [{ type: 'data', uuid: seededUuid(random), version: [1, 0, 0] }],
+	};
+	const files = [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' }];
+	for (const fn of functions) {
+		files.push({ name: `functions/${DATAPACK_NAMESPACE}/${fn.name}.mcfunction`, data: fn.lines.join('\n') + '\n' });
+	}
+	return files;
+}
+
+// Builds the function pack of a solution as a zip. Returns { fileName, bytes, commands }, commands
+// being what to run in game, or null if the solution places no portals.
+// options.seed is the seed of the solver run, the Bedrock manifest UUIDs are derived from it.
+function createPortalDatapack(problem, solution, options = {}) {
+	if (!solution || getBuiltPortals(problem, solution).length === 0) return null;
+	const model = getLinkingModel(problem.version);
+	const includeUndo = options.includeUndo !== false;
+
+	const functions = buildActionFunctions(problem, solution, 'build');
+	if (includeUndo) functions.push(...buildActionFunctions(problem, solution, 'undo'));
+	const actions = includeUndo ? ['build', 'undo'] : ['build'];
+
+	if (model.edition === 'bedrock') {
+		return {
+			fileName: 'portal-solver.mcpack',
+			bytes: createZip(createBedrockPackFiles(functions, options.seed || 0)),
+			commands: actions.map((action) => `/function ${DATAPACK_NAMESPACE}/${action}`),
+		};
+	}
+	return {
+		fileName: 'portal-solver-datapack.zip',
+		bytes: createZip(createJavaDatapackFiles(functions, model.commands.packFormat)),
+		commands: actions.map((action) => `/function ${DATAPACK_NAMESPACE}:${action}`),
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { getPortalClearArea, generatePortalFunction, createPortalDatapack };
+}
@@ -0,0 +1,525 @@
+// js/exact-solver.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(globalThis, require('./utils.js'), require('./solver.js'));
+}
+
+// Exact feasibility search (branch and bound with constraint propagation) over the integer
+// positions allowed by the POS INC/EXC boxes. Unlike the annealing search, an exhausted search
+// proves that no layout satisfies every LINK. A feasible layout is handed to Stage 2 for optimization.
+class ExactPortalSolver extends PortalSolver {
+	constructor(problem, statusCallback, progressCallback) {
+		super(problem, statusCallback, progressCallback);
+
+		// Tunable parameters for the exact search
+		this.maxDomainSize = 100000; // Max candidate positions per portal
+		this.maxTotalDomainSize = 250000; // Max candidate positions over all portals (used by 'auto' mode)
+		this.maxGridArea = 4000000; // Max XZ area for the propagation lookup grids
+		this.maxPropagationRounds = 20;
+		this.maxNodes = 200000; // Search node budget, the result is inconclusive when exceeded
+		this.nodesPerUpdate = 2000; // How often to yield/update UI
+
+		this.nodes = 0;
+		this.budgetExhausted = false;
+	}
+
+	// --- Problem Size ---
+
+	// Upper bound for the number of candidate positions of a portal (sum of its INC box volumes)
+	estimateDomainSize(portal) {
+		if (portal.fixed) return 1;
+
+		let size = 0;
+		for (const inc of portal.constraints.inclusive) {
+			size += (inc.max.x - inc.min.x + 1) * (inc.max.y - inc.min.y + 1) * (inc.max.z - inc.min.z + 1);
+		}
+		return size;
+	}
+
+	// Whether the network is small enough for the exact search to be the better choice
+	isSuitable() {
+		let total = 0;
+		for (const name of this.portalNames) {
+			const size = this.estimateDomainSize(this.problem.portals[name]);
+			if (size > this.maxDomainSize) return false;
+			total += size;
+		}
+		return total <= this.maxTotalDomainSize;
+	}
+
+	// --- Core Solver Logic (Exact Search) ---
+
+	async solve() {
+		this.statusCallback('Exact Search: Building position domains...');
+		const search = await this.findFeasibleStateExact();
+
+		if (search.status === 'feasible') {
+			this.statusCallback(`Exact Search: Feasible solution found after ${this.nodes} nodes. Starting Stage 2.`);
+			const result = await this.optimizeFeasibleState(search.state);
+			if (result.success && !result.cancelled) {
+				result.message = 'Solution found by exact search and optimized.';
+			}
+			return result;
+		}
+
+		if (search.status === 'infeasible') {
+			this.statusCallback(`Exact Search: Proven infeasible after ${this.nodes} nodes.`);
+			return this.emptyResult(`No layout satisfies every constraint: ${search.reason}`, { infeasible: true });
+		}
+
+		if (search.status === 'cancelled') {
+			this.statusCallback(`Cancelled during Exact Search after ${this.nodes} nodes.`);
+			return this.emptyResult('Cancelled during exact search before a valid layout was found.', {
+				cancelled: true,
+			});
+		}
+
+		// Inconclusive: fall back to the annealing search
+		this.statusCallback(`Exact Search: Inconclusive (${search.reason}). Falling back to Simulated Annealing.`);
+		const result = await super.solve();
+		result.message += ` (Exact search inconclusive: ${search.reason}.)`;
+		return result;
+	}
+
+	// Returns { status: 'feasible' | 'infeasible' | 'unknown' | 'cancelled', state?, reason? }
+	async findFeasibleStateExact() {
+		this.nodes = 0;
+		this.budgetExhausted = false;
+
+		const domains = {};
+		for (const name of this.portalNames) {
+			const portal = this.problem.portals[name];
+			if (this.estimateDomainSize(portal) > this.maxDomainSize) {
+				return { status: 'unknown', reason: `too many candidate positions for portal ${name}` };
+			}
+			domains[name] = this.buildDomain(portal);
+			if (domains[name].length === 0) {
+				return {
+					status: 'infeasible',
+					reason: `portal ${name} has no position allowed by its POS constraints.`,
+				};
+			}
+		}
+
+		this.statusCallback('Exact Search: Propagating search radius constraints...');
+		const emptied = this.propagateSearchRadius(domains);
+		if (emptied) {
+			return {
+				status: 'infeasible',
+				reason: `portal ${emptied.portal} has no allowed position for the link ${emptied.link.source} -> ${emptied.link.dest} to find its destination within the search radius.`,
+			};
+		}
+
+		this.statusCallback('Exact Search: Searching...');
+		const state = await this.search({}, domains);
+		if (state) {
+			return { status: 'feasible', state: state };
+		}
+		if (this.cancelRequested) {
+			return { status: 'cancelled' };
+		}
+		if (this.budgetExhausted) {
+			return { status: 'unknown', reason: `node budget of ${this.maxNodes} exhausted` };
+		}
+		return { status: 'infeasible', reason: `exhaustive search of ${this.nodes} nodes found no valid layout.` };
+	}
+
+	// All integer positions inside the portal's INC boxes and outside its EXC boxes
+	buildDomain(portal) {
+		if (portal.fixed) return [copyVec3(portal.pos)];
+
+		const domain = [];
+		// Overlapping INC boxes would otherwise produce duplicate candidates
+		const seen = portal.constraints.inclusive.length > 1 ? new Set() : null;
+
+		for (const inc of portal.constraints.inclusive) {
+			for (let x = inc.min.x; x <= inc.max.x; x++) {
+				for (let y = inc.min.y; y <= inc.max.y; y++) {
+					for (let z = inc.min.z; z <= inc.max.z; z++) {
+						if (seen) {
+							const key = `${x},${y},${z}`;
+							if (seen.has(key)) continue;
+							seen.add(key);
+						}
+						const pos = vec3(x, y, z);
+						if (this.satisfiesPositionConstraints(portal, pos)) {
+							domain.push(pos);
+						}
+					}
+				}
+			}
+		}
+		return domain;
+	}
+
+	// --- Propagation ---
+
+	// Intersection of the square search areas around all search points of a source position
+	getSearchRect(sourcePortalName, sourcePos, destDim, profiles) {
+		const searchRadius = this.model.searchRadius(destDim);
+		const rect = { minX: -Infinity, maxX: Infinity, minZ: -Infinity, maxZ: Infinity };
+		for (const Bd of this.getDestinationSearchPoints(sourcePortalName, sourcePos, destDim, profiles)) {
+			rect.minX = Math.max(rect.minX, Bd.x - searchRadius);
+			rect.maxX = Math.min(rect.maxX, Bd.x + searchRadius);
+			rect.minZ = Math.max(rect.minZ, Bd.z - searchRadius);
+			rect.maxZ = Math.min(rect.maxZ, Bd.z + searchRadius);
+		}
+		return rect;
+	}
+
+	// Bounding box of the XZ projection of a domain, null if it is too large for a lookup grid
+	getDomainGridBounds(domain) {
+		let minX = Infinity;
+		let maxX = -Infinity;
+		let minZ = Infinity;
+		let maxZ = -Infinity;
+		for (const pos of domain) {
+			minX = Math.min(minX, pos.x);
+			maxX = Math.max(maxX, pos.x);
+			minZ = Math.min(minZ, pos.z);
+			maxZ = Math.max(maxZ, pos.z);
+		}
+		const width = maxX - minX + 1;
+		const depth = maxZ - minZ + 1;
+		if (width * depth > this.maxGridArea) return null;
+		return { minX, minZ, width, depth };
+	}
+
+	// 2D prefix sums over the XZ columns occupied by a domain, for O(1) "any position in rect" queries
+	buildColumnPrefixSums(domain, bounds) {
+		const stride = bounds.width + 1;
+		const sums = new Int32Array(stride * (bounds.depth + 1));
+		for (const pos of domain) {
+			sums[(pos.z - bounds.minZ + 1) * stride + (pos.x - bounds.minX + 1)] = 1;
+		}
+		for (let z = 1; z <= bounds.depth; z++) {
+			for (let x = 1; x <= bounds.width; x++) {
+				const i = z * stride + x;
+				sums[i] += sums[i - 1] + sums[i - stride] - sums[i - stride - 1];
+			}
+		}
+		return sums;
+	}
+
+	rectContainsColumn(sums, bounds, rect) {
+		const x0 = Math.max(rect.minX, bounds.minX) - bounds.minX;
+		const x1 = Math.min(rect.maxX, bounds.minX + bounds.width - 1) - bounds.minX;
+		const z0 = Math.max(rect.minZ, bounds.minZ) - bounds.minZ;
+		const z1 = Math.min(rect.maxZ, bounds.minZ + bounds.depth - 1) - bounds.minZ;
+		if (x0 > x1 || z0 > z1) return false;
+
+		const stride = bounds.width + 1;
+		const count =
+			sums[(z1 + 1) * stride + (x1 + 1)] -
+			sums[z0 * stride + (x1 + 1)] -
+			sums[(z1 + 1) * stride + x0] +
+			sums[z0 * stride + x0];
+		return count > 0;
+	}
+
+	// Remove positions that can never satisfy a link's search radius, until nothing changes.
+	// Returns { portal, link } for the first domain that becomes empty, or null.
+	propagateSearchRadius(domains) {
+		for (let round = 0; round < this.maxPropagationRounds; round++) {
+			let changed = false;
+
+			for (const link of this.problem.desiredLinks) {
+				const destPortal = this.problem.portals[link.dest];
+				const destDim = destPortal.dim;
+				const destExtent = getPortalExtent(destPortal);
+				const destBounds = this.getDomainGridBounds(domains[link.dest]);
+				if (!destBounds) continue;
+
+				// Source positions need at least one destination candidate inside their search area
+				const destSums = this.buildColumnPrefixSums(domains[link.dest], destBounds);
+				const sourceRects = [];
+				const sourceDomain = domains[link.source].filter((pos) => {
+					const rect = this.getSearchRect(link.source, pos, destDim, link.profiles);
+					// Candidates are lowest corners, any block of a wider portal may be in the search area
+					rect.minX -= destExtent.x;
+					rect.minZ -= destExtent.z;
+					if (!this.rectContainsColumn(destSums, destBounds, rect)) return false;
+					sourceRects.push(rect);
+					return true;
+				});
+
+				// Destination positions need at least one source candidate whose search area covers them
+				const stride = destBounds.width + 1;
+				const coverage = new Int32Array(stride * (destBounds.depth + 1));
+				for (const rect of sourceRects) {
+					const x0 = Math.max(rect.minX, destBounds.minX) - destBounds.minX;
+					const x1 = Math.min(rect.maxX, destBounds.minX + destBounds.width - 1) - destBounds.minX;
+					const z0 = Math.max(rect.minZ, destBounds.minZ) - destBounds.minZ;
+					const z1 = Math.min(rect.maxZ, destBounds.minZ + destBounds.depth - 1) - destBounds.minZ;
+					if (x0 > x1 || z0 > z1) continue;
+					coverage[z0 * stride + x0]++;
+					coverage[z0 * stride + x1 + 1]--;
+					coverage[(z1 + 1) * stride + x0]--;
+					coverage[(z1 + 1) * stride + x1 + 1]++;
+				}
+				for (let z = 0; z < destBounds.depth; z++) {
+					for (let x = 0; x < destBounds.width; x++) {
+						const i = z * stride + x;
+						if (x > 0) coverage[i] += coverage[i - 1];
+						if (z > 0) coverage[i] += coverage[i - stride];
+						if (x > 0 && z > 0) coverage[i] -= coverage[i - stride - 1];
+					}
+				}
+				const destDomain = domains[link.dest].filter(
+					(pos) => coverage[(pos.z - destBounds.minZ) * stride + (pos.x - destBounds.minX)] > 0
+				);
+
+				if (sourceDomain.length !== domains[link.source].length) changed = true;
+				if (destDomain.length !== domains[link.dest].length) changed = true;
+				domains[link.source] = sourceDomain;
+				domains[link.dest] = destDomain;
+
+				if (sourceDomain.length === 0) return { portal: link.source, link: link };
+				if (destDomain.length === 0) return { portal: link.dest, link: link };
+			}
+
+			if (!changed) break;
+		}
+		return null;
+	}
+
+	// --- Search ---
+
+	// Whether a portal would be picked over the destination when searching from Bd.
+	// C and B are the portal blocks of both portals that are closest to Bd.
+	beatsDestination(C, B, Bd, destDim) {
+		if (!this.model.inSearchArea(C, Bd, destDim)) return false;
+		const distC = this.model.distanceSq(Bd, C);
+		const distB = this.model.distanceSq(Bd, B);
+		return distC < distB || (distC === distB && this.model.compareTies(C, B) < 0);
+	}
+
+	// Check a link using only the portals assigned so far. Portals added later can only
+	// take a destination away, never give one back, so a failure here is final.
+	partialLinkHolds(link, assignment, searchPoints) {
+		const destPortal = this.problem.portals[link.dest];
+
+		for (const Bd of searchPoints) {
+			const B = closestPortalBlock(Bd, assignment[link.dest], destPortal);
+			if (!this.model.inSearchArea(B, Bd, destPortal.dim)) return false;
+			for (const name in assignment) {
+				const portal = this.problem.portals[name];
+				if (name === link.dest || portal.dim !== destPortal.dim) continue;
+				const C = closestPortalBlock(Bd, assignment[name], portal);
+				if (this.beatsDestination(C, B, Bd, destPortal.dim)) return false;
+			}
+		}
+		return true;
+	}
+
+	// Links that became checkable (or gained a potential hijacker) by assigning portal newName
+	assignmentConsistent(newName, assignment) {
+		const newDim = this.problem.portals[newName].dim;
+		for (const link of this.problem.desiredLinks) {
+			if (!(link.source in assignment) || !(link.dest in assignment)) continue;
+			const affected =
+				link.source === newName || link.dest === newName || this.problem.portals[link.dest].dim === newDim;
+			if (!affected) continue;
+
+			const searchPoints = this.getDestinationSearchPoints(
+				link.source,
+				assignment[link.source],
+				this.problem.portals[link.dest].dim,
+				link.profiles
+			);
+			if (!this.partialLinkHolds(link, assignment, searchPoints)) return false;
+		}
+
+		// LINK ... NEW fails as soon as any placed portal is found, later portals can't fix that
+		for (const link of this.problem.newPortalLinks) {
+			if (!(link.source in assignment)) continue;
+			if (link.source !== newName && link.destDim !== newDim) continue;
+			const searchPoints = this.getDestinationSearchPoints(
+				link.source,
+				assignment[link.source],
+				link.destDim,
+				link.profiles
+			);
+			if (searchPoints.some((Bd) => this.findClosestPortal(Bd, link.destDim, assignment) !== null)) return false;
+		}
+
+		// NEAR, FAR, SAME_Y and OFFSET are decided once both portals are placed
+		for (const constraint of this.problem.relativeConstraints) {
+			if (constraint.p1 !== newName && constraint.p2 !== newName) continue;
+			if (!(constraint.p1 in assignment) || !(constraint.p2 in assignment)) continue;
+			if (this.getRelativeViolation(constraint, assignment) > 0) return false;
+		}
+		return true;
+	}
+
+	// Forward checking: drop candidates of an unassigned portal that conflict with the assignment
+	// now that portal newName has been placed.
+	filterDomain(name, domain, assignment, newName) {
+		const dim = this.problem.portals[name].dim;
+		const newDim = this.problem.portals[newName].dim;
+		const checks = [];
+
+		for (const link of this.problem.desiredLinks) {
+			const sourceAssigned = link.source in assignment;
+			const destAssigned = link.dest in assignment;
+			const destDim = this.problem.portals[link.dest].dim;
+
+			if (link.source === name && destAssigned && (link.dest === newName || destDim === newDim)) {
+				// Candidate is the source: its search points must find the assigned destination
+				checks.push((pos) => {
+					const searchPoints = this.getDestinationSearchPoints(name, pos, destDim, link.profiles);
+					return this.partialLinkHolds(link, assignment, searchPoints);
+				});
+			} else if (link.dest === name && sourceAssigned && (link.source === newName || dim === newDim)) {
+				// Candidate is the destination: it must be found from the assigned source
+				const searchPoints = this.getDestinationSearchPoints(
+					link.source,
+					assignment[link.source],
+					dim,
+					link.profiles
+				);
+				checks.push((pos) => {
+					assignment[name] = pos;
+					const holds = this.partialLinkHolds(link, assignment, searchPoints);
+					delete assignment[name];
+					return holds;
+				});
+			} else if (
+				sourceAssigned &&
+				destAssigned &&
+				(link.source === newName || link.dest === newName) &&
+				destDim === dim
+			) {
+				// Candidate could hijack a link that just became fully assigned
+				const searchPoints = this.getDestinationSearchPoints(
+					link.source,
+					assignment[link.source],
+					destDim,
+					link.profiles
+				);
+				const destBlocks = searchPoints.map((Bd) =>
+					closestPortalBlock(Bd, assignment[link.dest], this.problem.portals[link.dest])
+				);
+				const portal = this.problem.portals[name];
+				checks.push(
+					(pos) =>
+						!searchPoints.some((Bd, i) =>
+							this.beatsDestination(closestPortalBlock(Bd, pos, portal), destBlocks[i], Bd, destDim)
+						)
+				);
+			}
+		}
+
+		for (const constraint of this.problem.relativeConstraints) {
+			const between =
+				(constraint.p1 === name && constraint.p2 === newName) ||
+				(constraint.p1 === newName && constraint.p2 === name);
+			if (!between) continue;
+			checks.push((pos) => {
+				assignment[name] = pos;
+				const holds = this.getRelativeViolation(constraint, assignment) === 0;
+				delete assignment[name];
+				return holds;
+			});
+		}
+
+		if (checks.length === 0) return domain;
+		return domain.filter((pos) => checks.every((check) => check(pos)));
+	}
+
+	// Try candidates close to already placed link partners first
+	orderValues(name, domain, assignment) {
+		const scorers = [];
+		for (const link of this.problem.desiredLinks) {
+			const destDim = this.problem.portals[link.dest].dim;
+			if (link.source === name && link.dest in assignment) {
+				const B = assignment[link.dest];
+				scorers.push((pos) => distSq(this.getDestinationSearchPoints(name, pos, destDim)[0], B));
+			} else if (link.dest === name && link.source in assignment) {
+				const Bd = this.getDestinationSearchPoints(link.source, assignment[link.source], destDim)[0];
+				scorers.push((pos) => distSq(Bd, pos));
+			}
+		}
+		if (scorers.length === 0) return domain;
+
+		const scored = domain.map((pos) => ({ pos, score: Math.min(...scorers.map((scorer) => scorer(pos))) }));
+		scored.sort((a, b) => a.score - b.score);
+		return scored.map((entry) => entry.pos);
+	}
+
+	// Depth-first search, picking the portal with the fewest remaining candidates first
+	async search(assignment, domains) {
+		let nextName = null;
+		for (const name of this.portalNames) {
+			if (name in assignment) continue;
+			if (nextName === null || domains[name].length < domains[nextName].length) nextName = name;
+		}
+
+		if (nextName === null) {
+			// Every portal is placed: run the full link check (keeps the solver's portal order for tie-breaks).
+			// NOLINK constraints are only checked here, a later portal can still divert a forbidden link.
+			const state = {};
+			for (const name of this.portalNames) {
+				state[name] = assignment[name];
+			}
+			return this.calculateCost(state, 0) === 0 ? state : null;
+		}
+
+		for (const pos of this.orderValues(nextName, domains[nextName], assignment)) {
+			if (++this.nodes > this.maxNodes) {
+				this.budgetExhausted = true;
+				return null;
+			}
+			if (this.nodes % this.nodesPerUpdate === 0) {
+				this.statusCallback(
+					`Exact Search: Node ${this.nodes}/${this.maxNodes}, Placed ${Object.keys(assignment).length}/${
+						this.portalNames.length
+					} portals`
+				);
+				await this.yieldToEventLoop(); // Yield to browser
+				if (this.cancelRequested) return null;
+			}
+
+			assignment[nextName] = pos;
+			if (this.assignmentConsistent(nextName, assignment)) {
+				const nextDomains = { ...domains };
+				let deadEnd = false;
+				for (const name of this.portalNames) {
+					if (name in assignment) continue;
+					nextDomains[name] = this.filterDomain(name, domains[name], assignment, nextName);
+					if (nextDomains[name].length === 0) {
+						deadEnd = true;
+						break;
+					}
+				}
+
+				if (!deadEnd) {
+					const state = await this.search(assignment, nextDomains);
+					if (state) return state;
+				}
+			}
+			delete assignment[nextName];
+
+			if (this.budgetExhausted || this.cancelRequested) return null;
+		}
+
+		return null;
+	}
+}
+
+// Create the solver for a UI mode: 'exact', 'annealing' or 'auto' (exact for small and medium networks)
+function createPortalSolver(mode, problem, statusCallback, progressCallback) {
+	if (mode === 'annealing') {
+		return new PortalSolver(problem, statusCallback, progressCallback);
+	}
+	const exactSolver = new ExactPortalSolver(problem, statusCallback, progressCallback);
+	if (mode === 'exact' || exactSolver.isSuitable()) {
+		return exactSolver;
+	}
+	return new PortalSolver(problem, statusCallback, progressCallback);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { ExactPortalSolver, createPortalSolver };
+}
@@ -0,0 +1,224 @@
+// js/format.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(globalThis, require('./utils.js'), require('./linking-models.js'));
+}
+
+// The portals of a solution that have to be built, as { name, portal, pos } sorted by name.
+// FIXED and FOREIGN portals already exist in the world and are skipped.
+function getBuiltPortals(problem, solution) {
+	return Object.keys(solution)
+		.sort()
+		.filter((name) => problem.portals[name] && !problem.portals[name].fixed)
+		.map((name) => ({ name, portal: problem.portals[name], pos: solution[name] }));
+}
+
+// Generate the commands that create the solved portals (sorted by name).
+// The command syntax follows the edition of the problem's VERSION.
+function generatePortalCommands(problem, solution) {
+	const commands = [];
+	if (!solution) return commands;
+
+	const syntax = getLinkingModel(problem.version).commands;
+
+	for (const { portal: portalInfo, pos } of getBuiltPortals(problem, solution)) {
+		const prefix = syntax.dimensionPrefix(portalInfo.dim);
+		const portalBlock = syntax.portalBlock(portalInfo.face === 'X' ? 'z' : 'x'); // Axis is opposite of facing
+		if (portalInfo.width === 1 && portalInfo.height === 1) {
+			// Single block portal model: only place the portal block itself
+			commands.push(`${prefix} setblock ${pos.x} ${pos.y} ${pos.z} ${portalBlock}${syntax.setblockMode}`);
+			continue;
+		}
+
+		// Fill the obsidian frame as a solid box first, then replace its inside with portal blocks
+		const max = addVec3(pos, getPortalExtent(portalInfo));
+		const frame = getPortalFrame(pos, portalInfo);
+		commands.push(
+			`${prefix} fill ${frame.min.x} ${frame.min.y} ${frame.min.z} ${frame.max.x} ${frame.max.y} ${frame.max.z} ${syntax.obsidianBlock}`
+		);
+		commands.push(`${prefix} fill ${pos.x} ${pos.y} ${pos.z} ${max.x} ${max.y} ${max.z} ${portalBlock}`);
+	}
+	return commands;
+}
+
+// Human readable summary of a solver result: status, positions, violations and optimization distances
+function formatSolutionText(problem, result) {
+	let outputText = `Solver Status: ${result.message}\n`;
+	outputText += `Success: ${result.success}\n`;
+	outputText += `Linking Model: ${getLinkingModel(problem.version).name}\n`;
+	if (result.seed !== undefined) {
+		outputText += `Seed: ${result.seed} (use SEED ${result.seed} to replay this run)\n`;
+	}
+	outputText += '\n';
+
+	if (result.solution) {
+		outputText += '--- Portal Positions ---\n';
+		const sortedNames = Object.keys(result.solution).sort();
+		for (const name of sortedNames) {
+			const pos = result.solution[name];
+			const portalInfo = problem.portals[name]; // Get portal info
+			if (!portalInfo) {
+				console.warn(`Portal info not found for ${name} during output generation.`);
+				continue;
+			}
+			const size =
+				portalInfo.width > 1 || portalInfo.height > 1 ? `, ${portalInfo.width}x${portalInfo.height}` : '';
+			const kind = portalInfo.foreign ? ', foreign' : portalInfo.fixed ? ', fixed' : '';
+			outputText += `${name} (${portalInfo.dim}, Face ${portalInfo.face}${size}${kind}):\t(${pos.x}, ${pos.y}, ${pos.z})\n`;
+		}
+	} else {
+		outputText += 'No solution found.\n';
+	}
+
+	if (!result.success) {
+		outputText += '\n--- Violated Constraints ---\n';
+		if (result.violatedPositions.length > 0) {
+			outputText += `Position Constraints Violated: ${result.violatedPositions.join(', ')}\n`;
+		}
+		if (result.violatedRelativeConstraints && result.violatedRelativeConstraints.length > 0) {
+			outputText += `Relative Constraints Violated: ${result.violatedRelativeConstraints.join('; ')}\n`;
+		}
+		if (result.violatedLinks.length > 0) {
+			outputText += `Desired Links Violated: ${result.violatedLinks.join('; ')}\n`;
+		}
+		if (result.violatedForbiddenLinks.length > 0) {
+			outputText += `Forbidden Links Violated: ${result.violatedForbiddenLinks.join('; ')}\n`;
+		}
+	}
+
+	if (result.generatedPortals && result.generatedPortals.length > 0) {
+		outputText += '\n--- Generated Portals (LINK ... NEW) ---\n';
+		for (const prediction of result.generatedPortals) {
+			const target = prediction.target;
+			const pos = prediction.pos;
+			outputText += `${prediction.source} -> NEW (${prediction.dim}): closest suitable spot within ${
+				prediction.searchRadius
+			} blocks of (${target.x}, ${target.y}, ${target.z}), forced to (${pos.x}, ${pos.y}, ${
+				pos.z
+			}) if there is none. Return trip leads to ${prediction.returnDest || 'a new portal'}.\n`;
+		}
+	}
+
+	if (result.warnings && result.warnings.length > 0) {
+		outputText += '\n--- Warnings ---\n';
+		for (const warning of result.warnings) {
+			outputText += `${warning}\n`;
+		}
+	}
+
+	if (Object.keys(result.optimizationDistances).length > 0) {
+		outputText += '\n--- Optimization Goal Distances ---\n';
+		for (const key in result.optimizationDistances) {
+			const dist = result.optimizationDistances[key];
+			outputText += `${key} (Weight: ${dist.weight}): ${dist.linear} (Sq: ${dist.squared})\n`;
+		}
+	}
+
+	if (result.paretoSolutions && result.paretoSolutions.length > 0) {
+		outputText += '\n--- Alternative Layouts (Pareto Set) ---\n';
+		outputText += formatParetoSolutions(problem, result.paretoSolutions, result.shownAlternative || 0);
+	}
+
+	if (result.actualLinks && result.actualLinks.length > 0) {
+		outputText += '\n--- Actual Link Graph ---\n';
+		outputText += formatActualLinkGraph(result.actualLinks);
+	}
+
+	if (result.linkMargins && Object.keys(result.linkMargins).length > 0) {
+		outputText += '\n--- Link Safety Margins ---\n';
+		outputText += 'How much closer the destination is than the next portal, for the weakest entity position.\n';
+		for (const key of Object.keys(result.linkMargins).sort()) {
+			const { margin, runnerUp, broken } = result.linkMargins[key];
+			if (margin === null) {
+				outputText += `${key}: ${broken ? 'destination out of range' : 'no other portal in range'}\n`;
+			} else {
+				outputText += `${key}: ${margin.toFixed(2)} blocks ${broken ? 'behind' : 'ahead of'} ${runnerUp}\n`;
+			}
+		}
+	}
+
+	if (result.entryHeatmaps && result.entryHeatmaps.length > 0) {
+		outputText += '\n--- Entry Heatmaps ---\n';
+		outputText += formatEntryHeatmaps(result.entryHeatmaps);
+	}
+
+	return outputText;
+}
+
+// Goal distances of each non-dominated layout and the positions where it differs from the shown one
+function formatParetoSolutions(problem, alternatives, shownIndex = 0) {
+	let text = 'None of these layouts is better than another on every OPTIMIZE goal. ';
+	text += `#${shownIndex + 1} is shown above.\n`;
+	const shown = alternatives[shownIndex];
+	alternatives.forEach((alternative, i) => {
+		text += `\n#${i + 1} (weighted cost ${alternative.cost})\n`;
+		for (const [label, value] of Object.entries(alternative.objectives)) {
+			text += `  ${label}: ${value}\n`;
+		}
+		if (i === shownIndex) return;
+		for (const name of Object.keys(alternative.solution).sort()) {
+			const pos = alternative.solution[name];
+			const shownPos = shown.solution[name];
+			if (problem.portals[name].fixed || (pos.x === shownPos.x && pos.y === shownPos.y && pos.z === shownPos.z)) {
+				continue;
+			}
+			text += `  ${name}: (${pos.x}, ${pos.y}, ${pos.z})\n`;
+		}
+	});
+	return text;
+}
+
+// Where every portal leads, sorted by name. Links to check are marked with '!' and explained in brackets.
+function formatActualLinkGraph(actualLinks) {
+	let text = 'Where entering each portal leads, for every entity test position. Links marked with ! need a look.\n';
+	const sorted = [...actualLinks].sort((a, b) => a.source.localeCompare(b.source));
+	for (const link of sorted) {
+		const dests = link.dests.map((dest) => dest || 'generates new portal').join(', ');
+		const notes = link.notes.length > 0 ? ` [${link.notes.join('; ')}]` : '';
+		text += `${link.highlight ? '!' : ' '} ${link.source} -> ${dests}${notes}\n`;
+	}
+	return text;
+}
+
+// Text heatmaps of where entities can enter LINK source portals: '#' reaches the intended destination,
+// letters lead to other portals (listed below each map) and '!' generates a new portal
+function formatEntryHeatmaps(heatmaps) {
+	let text = `Entity positions on each LINK source portal, ${heatmaps[0].resolution} per block. Rows run from the top of the portal down, columns from its lowest X or Z.\n`;
+	text += "'#' reaches the destination, '!' generates a new portal, letters lead to the portals listed.\n";
+	for (const heatmap of heatmaps) {
+		const others = [];
+		const symbol = (dest) => {
+			if (dest === heatmap.dest) return '#';
+			if (dest === null) return '!';
+			if (!others.includes(dest)) others.push(dest);
+			return String.fromCharCode(97 + (others.indexOf(dest) % 26)); // a, b, c...
+		};
+		const rows = heatmap.rows.map((row) => `  ${row.map(symbol).join('')}`);
+
+		const safePercent = (heatmap.safeFraction * 100).toFixed(1);
+		text += `\n${heatmap.source} -> ${heatmap.dest || 'NEW'}: ${safePercent}% of the surface is safe\n`;
+		text += rows.join('\n') + '\n';
+		others.forEach((name, i) => {
+			text += `  ${String.fromCharCode(97 + (i % 26))} = ${name}\n`;
+		});
+	}
+	return text;
+}
+
+function formatLinkDistancesText(result) {
+	let linkDistText =
+		"Calculated distances (distSq & dist) from the Floored Scaled Position (Bd) of the source portal's center entity position to the destination portal's actual position (DestPos).\nLower distances generally mean more stable links.\n\n";
+	const sortedLinkKeys = Object.keys(result.linkDistances).sort();
+	for (const key of sortedLinkKeys) {
+		const data = result.linkDistances[key];
+		linkDistText += `${key}:\n`;
+		linkDistText += `  Bd: ${data.Bd} -> DestPos: ${data.DestPos}\n`;
+		linkDistText += `  Distance: ${data.dist} (Sq: ${data.distSq})\n\n`;
+	}
+	return linkDistText;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { getBuiltPortals, generatePortalCommands, formatSolutionText, formatLinkDistancesText };
+}
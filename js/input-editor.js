@@ -0,0 +1,247 @@
+// js/input-editor.js
+
+// Input editor on top of the problem textarea: a highlighted copy of the text is drawn behind the
+// (transparent) textarea, with the parser's errors and warnings underlined and marked in a line number
+// gutter. Portal names and commands are completed while typing. The textarea stays the editor, so
+// everything else (saving, the map editor) keeps working on its value.
+
+const EDITOR_KEYWORDS = new Set(['INC', 'EXC', 'NEW', 'O', 'N', 'X', 'Z']);
+
+function escapeHtml(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Highlighting class of a token: command, portal name, keyword or number
+function getTokenClass(token, index, portalNames) {
+	if (index === 0) return token.text.toUpperCase() in INPUT_COMMANDS ? 'tok-command' : '';
+	if (portalNames.has(token.text)) return 'tok-portal';
+	if (EDITOR_KEYWORDS.has(token.text.toUpperCase())) return 'tok-keyword';
+	if (!isNaN(Number(token.text))) return 'tok-number';
+	return '';
+}
+
+// HTML of one line: token classes and diagnostic underlines as flat spans
+function highlightLine(line, diagnostics, portalNames) {
+	if (line.trim().startsWith('#')) return `<span class="tok-comment">${escapeHtml(line)}</span>`;
+
+	const tokens = tokenizeLine(line);
+	const cuts = new Set([0, line.length]);
+	for (const token of tokens) cuts.add(token.start).add(token.end);
+	for (const diagnostic of diagnostics) cuts.add(diagnostic.startColumn).add(diagnostic.endColumn);
+	const points = [...cuts].filter((point) => point <= line.length).sort((a, b) => a - b);
+
+	let html = '';
+	for (let i = 0; i < points.length - 1; i++) {
+		const [start, end] = [points[i], points[i + 1]];
+		const classes = [];
+		const tokenIndex = tokens.findIndex((token) => token.start <= start && end <= token.end);
+		if (tokenIndex >= 0) classes.push(getTokenClass(tokens[tokenIndex], tokenIndex, portalNames));
+		const covering = diagnostics.filter((d) => d.startColumn <= start && end <= d.endColumn);
+		if (covering.length > 0) {
+			classes.push(covering.some((d) => d.severity === 'error') ? 'diag-error' : 'diag-warning');
+		}
+		const text = escapeHtml(line.slice(start, end));
+		const className = classes.filter(Boolean).join(' ');
+		html += className ? `<span class="${className}">${text}</span>` : text;
+	}
+	return html;
+}
+
+class InputEditor {
+	// elements: { highlight, gutter, completions, diagnostics }
+	// onDiagnostics is called with the diagnostics after every parse, parseOptions are passed to the parser
+	constructor(textarea, elements, onDiagnostics, parseOptions = {}) {
+		this.textarea = textarea;
+		this.elements = elements;
+		this.onDiagnostics = onDiagnostics;
+		this.parseOptions = parseOptions;
+
+		this.diagnostics = [];
+		this.portalNames = new Set();
+		this.completion = null; // { lineStart, line, start, end, items, active }
+
+		textarea.addEventListener('input', () => {
+			this.refresh();
+			this.updateCompletion();
+		});
+		textarea.addEventListener('scroll', () => this.syncScroll());
+		textarea.addEventListener('keydown', (event) => this.onKeyDown(event));
+		textarea.addEventListener('blur', () => this.closeCompletion());
+		textarea.addEventListener('click', () => this.closeCompletion());
+		elements.completions.addEventListener('mousedown', (event) => {
+			event.preventDefault(); // Keep the focus in the textarea
+			const item = event.target.closest('li');
+			if (item) this.acceptCompletion(Number(item.dataset.index));
+		});
+	}
+
+	// Parse the input again and redraw. Call after the textarea's value was set by code.
+	refresh() {
+		const text = this.textarea.value;
+		const { problem, diagnostics } = parseProblemDiagnostics(text, this.parseOptions);
+		this.diagnostics = diagnostics;
+		this.portalNames = new Set(Object.keys(problem.portals));
+		this.render(text);
+		this.onDiagnostics(diagnostics);
+	}
+
+	render(text) {
+		const lines = text.split('\n');
+		const byLine = lines.map(() => []);
+		for (const diagnostic of this.diagnostics) byLine[diagnostic.line - 1].push(diagnostic);
+
+		// The extra line keeps the copy scrollable as far as the textarea, which may show a scrollbar
+		const html = lines.map((line, i) => highlightLine(line, byLine[i], this.portalNames));
+		this.elements.highlight.innerHTML = html.join('\n') + '\n ';
+
+		this.elements.gutter.innerHTML = lines
+			.map((line, i) => {
+				const messages = byLine[i].map((d) => `${d.severity === 'error' ? 'Error' : 'Warning'}: ${d.message}`);
+				const severity = byLine[i].some((d) => d.severity === 'error') ? 'error' : 'warning';
+				if (messages.length === 0) return `<div>${i + 1}</div>`;
+				return `<div class="gutter-${severity}" title="${escapeHtml(messages.join('\n'))}">${i + 1}</div>`;
+			})
+			.join('');
+
+		this.renderDiagnosticList();
+		this.syncScroll();
+	}
+
+	renderDiagnosticList() {
+		const list = this.elements.diagnostics;
+		list.innerHTML = '';
+		for (const diagnostic of this.diagnostics) {
+			const item = document.createElement('li');
+			item.className = `diagnostic-${diagnostic.severity}`;
+			item.textContent = `Line ${diagnostic.line}: ${diagnostic.message}`;
+			item.addEventListener('click', () => this.select(diagnostic));
+			list.appendChild(item);
+		}
+	}
+
+	// Select the range of a diagnostic in the textarea
+	select(diagnostic) {
+		const lines = this.textarea.value.split('\n');
+		const lineStart = lines.slice(0, diagnostic.line - 1).reduce((sum, line) => sum + line.length + 1, 0);
+		this.textarea.focus();
+		this.textarea.setSelectionRange(lineStart + diagnostic.startColumn, lineStart + diagnostic.endColumn);
+	}
+
+	syncScroll() {
+		this.elements.highlight.scrollTop = this.textarea.scrollTop;
+		this.elements.highlight.scrollLeft = this.textarea.scrollLeft;
+		this.elements.gutter.scrollTop = this.textarea.scrollTop;
+	}
+
+	// --- Completion ---
+
+	// Token being typed at the caret and what can complete it: commands at the start of a line,
+	// portal names where the command expects one
+	getCompletionContext() {
+		const caret = this.textarea.selectionStart;
+		if (caret !== this.textarea.selectionEnd) return null;
+		const text = this.textarea.value;
+		const lineStart = text.lastIndexOf('\n', caret - 1) + 1;
+		const lineEnd = text.indexOf('\n', caret);
+		const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+		const column = caret - lineStart;
+		if (line.trim().startsWith('#')) return null;
+
+		const tokens = tokenizeLine(line);
+		const index = tokens.findIndex((token) => token.start <= column && column <= token.end);
+		if (index === -1 || tokens[index].end !== column) return null; // Only complete at the end of a word
+		const token = tokens[index];
+		const prefix = token.text;
+
+		let candidates;
+		if (index === 0) {
+			candidates = Object.keys(INPUT_COMMANDS);
+		} else {
+			const portalArgs = INPUT_COMMANDS[tokens[0].text.toUpperCase()] || [];
+			if (!portalArgs.includes(index)) return null;
+			candidates = [...this.portalNames].sort();
+		}
+		const lowerPrefix = prefix.toLowerCase();
+		const items = candidates.filter((item) => item.toLowerCase().startsWith(lowerPrefix) && item !== prefix);
+		if (items.length === 0) return null;
+		return { lineStart, line, start: lineStart + token.start, end: caret, items };
+	}
+
+	updateCompletion() {
+		const context = this.getCompletionContext();
+		if (!context) {
+			this.closeCompletion();
+			return;
+		}
+		this.completion = { ...context, active: 0 };
+		this.renderCompletion();
+	}
+
+	renderCompletion() {
+		const list = this.elements.completions;
+		const { items, active } = this.completion;
+		list.innerHTML = items
+			.map((item, i) => `<li data-index="${i}"${i === active ? ' class="active"' : ''}>${escapeHtml(item)}</li>`)
+			.join('');
+
+		// Below the caret. The editor font is monospace, so the caret column gives the position.
+		const style = getComputedStyle(this.textarea);
+		const lineHeight = parseFloat(style.lineHeight);
+		const charWidth = this.measureCharWidth();
+		const lineIndex = this.textarea.value.slice(0, this.completion.start).split('\n').length - 1;
+		const visualColumn = this.completion.line
+			.slice(0, this.completion.start - this.completion.lineStart)
+			.replace(/\t/g, ' '.repeat(Number(style.tabSize) || 4)).length;
+		list.style.top = `${parseFloat(style.paddingTop) + (lineIndex + 1) * lineHeight - this.textarea.scrollTop}px`;
+		list.style.left = `${parseFloat(style.paddingLeft) + visualColumn * charWidth - this.textarea.scrollLeft}px`;
+		list.hidden = false;
+	}
+
+	measureCharWidth() {
+		const probe = document.createElement('span');
+		probe.textContent = 'M'.repeat(10);
+		this.elements.highlight.appendChild(probe);
+		const width = probe.getBoundingClientRect().width / 10;
+		probe.remove();
+		return width;
+	}
+
+	closeCompletion() {
+		this.completion = null;
+		this.elements.completions.hidden = true;
+	}
+
+	acceptCompletion(index) {
+		if (!this.completion) return;
+		const { start, end, items } = this.completion;
+		const item = items[index];
+		this.closeCompletion();
+		this.textarea.setRangeText(item, start, end, 'end');
+		this.textarea.dispatchEvent(new Event('input'));
+		this.closeCompletion(); // The input handler may have opened it again for the completed word
+	}
+
+	onKeyDown(event) {
+		if (!this.completion) return;
+		const count = this.completion.items.length;
+		switch (event.key) {
+			case 'ArrowDown':
+				this.completion.active = (this.completion.active + 1) % count;
+				break;
+			case 'ArrowUp':
+				this.completion.active = (this.completion.active + count - 1) % count;
+				break;
+			case 'Enter':
+			case 'Tab':
+				this.acceptCompletion(this.completion.active);
+				break;
+			case 'Escape':
+				this.closeCompletion();
+				break;
+			default:
+				return;
+		}
+		event.preventDefault();
+		if (this.completion) this.renderCompletion();
+	}
+}
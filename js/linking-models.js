@@ -0,0 +1,177 @@
+// js/linking-models.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(globalThis, require('./utils.js'));
+}
+
+// Portal linking rules of a game version. Every model provides:
+//   id, name, edition
+//   coordScale(destDim)            X/Z scale applied when travelling into destDim
+//   searchRadius(destDim)          half size of the square that contains the destination search area
+//   inSearchArea(block, Bd, dim)   whether a portal block is found when searching from Bd
+//   distanceSq(Bd, block)          distance used to pick the closest portal block
+//   compareTies(a, b)              order of equally distant blocks, negative if a is picked over b
+//   entityOffset                   entity position relative to the portal block corner
+//   generation                     portal creation parameters (see portal-generation.js)
+//   worldHeight                    default lowest and highest buildable Y per dimension
+//   commands                       command syntax and export details (packs, structure files) for the edition
+// The exact solver relies on inSearchArea never reaching outside the searchRadius square.
+
+// Java Edition 1.16 and later: portal POIs in a square of 128 (Overworld) or 16 (Nether) blocks,
+// closest by 3D distance to the floored scaled position, ties go to the lower portal block.
+const JAVA_MODEL = {
+	id: 'JAVA',
+	name: 'Java Edition 1.16+',
+	edition: 'java',
+	coordScale(destDim) {
+		// If destination is Nether, the travel was O -> N, use O_SCALE (1/8)
+		// If destination is Overworld, the travel was N -> O, use N_SCALE (8)
+		return destDim === Constants.N_DIM ? Constants.O_SCALE : Constants.N_SCALE;
+	},
+	searchRadius(destDim) {
+		return destDim === Constants.N_DIM ? Constants.N_SEARCH_RADIUS : Constants.O_SEARCH_RADIUS;
+	},
+	inSearchArea(block, Bd, destDim) {
+		const searchRadius = this.searchRadius(destDim);
+		return Math.abs(block.x - Bd.x) <= searchRadius && Math.abs(block.z - Bd.z) <= searchRadius;
+	},
+	distanceSq(Bd, block) {
+		return distSq(Bd, block);
+	},
+	compareTies(a, b) {
+		return a.y - b.y;
+	},
+	entityOffset: { x: 0.5, y: 0.0, z: 0.5 },
+	generation: {
+		searchRadius: 16,
+		// Forced placement clamps Y to [70, top of the logical height - 10]
+		minForcedY: 70,
+		maxForcedY: { O: 310, N: 118 },
+	},
+	// 1.18+ heights, 1.16 and 1.17 worlds end at y=0 and y=255 (WORLD_HEIGHT O 0 255)
+	worldHeight: {
+		O: { minY: -64, maxY: 319 },
+		N: { minY: 0, maxY: 255 },
+	},
+	commands: {
+		dimensionPrefix(dim) {
+			return `/execute in minecraft:${dim === Constants.N_DIM ? 'the_nether' : 'overworld'} run`;
+		},
+		portalBlock(axis) {
+			return `minecraft:nether_portal[axis=${axis}]`;
+		},
+		obsidianBlock: 'minecraft:obsidian',
+		airBlock: 'minecraft:air',
+		setblockMode: ' strict', // Don't update neighbours, a lone portal block would break
+		packFormat: 6, // Datapack pack_format of 1.16.2, newer versions are declared with supported_formats
+		forceload: true,
+		structureDataVersion: 2586, // 1.16.5, the game upgrades structure files from older versions
+	},
+};
+
+// Java Edition before 1.16: the search covers 128 blocks around the scaled position in both dimensions.
+// Blocks were scanned by increasing X, then Z, then decreasing Y and only a strictly closer block replaced
+// the current one, so ties go to the lowest X, then lowest Z, then highest Y.
+const JAVA_LEGACY_MODEL = {
+	...JAVA_MODEL,
+	id: 'JAVA_LEGACY',
+	name: 'Java Edition 1.13-1.15',
+	searchRadius(destDim) {
+		return Constants.O_SEARCH_RADIUS;
+	},
+	compareTies(a, b) {
+		return a.x - b.x || a.z - b.z || b.y - a.y;
+	},
+	generation: {
+		searchRadius: 16,
+		minForcedY: 70,
+		maxForcedY: { O: 246, N: 118 },
+	},
+	worldHeight: {
+		O: { minY: 0, maxY: 255 },
+		N: { minY: 0, maxY: 255 },
+	},
+	commands: {
+		...JAVA_MODEL.commands,
+		setblockMode: '', // 'strict' doesn't exist in these versions
+		packFormat: 4,
+		forceload: false, // Only since 1.14.4
+		structureDataVersion: 1519, // 1.13
+	},
+};
+
+// Bedrock Edition: same search areas as current Java, but entity positions are at eye height
+// (1.62 blocks above the feet for players), which shifts the Y of the destination search.
+// Ties go to the lower block, then the lower X and Z. This model is an approximation.
+const BEDROCK_MODEL = {
+	...JAVA_MODEL,
+	id: 'BEDROCK',
+	name: 'Bedrock Edition (approximate)',
+	edition: 'bedrock',
+	compareTies(a, b) {
+		return a.y - b.y || a.x - b.x || a.z - b.z;
+	},
+	entityOffset: { x: 0.5, y: 1.62, z: 0.5 },
+	generation: {
+		searchRadius: 16,
+		minForcedY: 70,
+		maxForcedY: { O: 310, N: 118 },
+	},
+	// The Nether ends at its bedrock ceiling, there is no roof to build on
+	worldHeight: {
+		O: { minY: -64, maxY: 319 },
+		N: { minY: 0, maxY: 127 },
+	},
+	commands: {
+		dimensionPrefix(dim) {
+			return `/execute in ${dim === Constants.N_DIM ? 'nether' : 'overworld'} run`;
+		},
+		portalBlock(axis) {
+			return `portal ["portal_axis"="${axis}"]`;
+		},
+		obsidianBlock: 'obsidian',
+		airBlock: 'air',
+		setblockMode: '',
+		packFormat: null, // Functions go into a behavior pack instead of a datapack
+		forceload: false,
+		structureDataVersion: null, // Java structure files don't apply
+	},
+};
+
+const LinkingModels = {
+	[JAVA_MODEL.id]: JAVA_MODEL,
+	[JAVA_LEGACY_MODEL.id]: JAVA_LEGACY_MODEL,
+	[BEDROCK_MODEL.id]: BEDROCK_MODEL,
+};
+
+const DEFAULT_LINKING_MODEL = JAVA_MODEL.id;
+
+// Returns the linking model for a VERSION id (case insensitive), or null if there is none
+function getLinkingModel(id = DEFAULT_LINKING_MODEL) {
+	return LinkingModels[id.toUpperCase()] || null;
+}
+
+// Y ranges (inclusive) that can be built in a dimension, with WORLD_HEIGHT overrides applied.
+// The Nether's bedrock ceiling splits it in two, the area above it is only used with ALLOW_NETHER_ROOF.
+function getBuildRanges(problem, dim) {
+	const { minY, maxY } = problem.worldHeight[dim] || getLinkingModel(problem.version).worldHeight[dim];
+	if (dim !== Constants.N_DIM) return [{ minY, maxY }];
+
+	const ranges = [{ minY, maxY: Math.min(maxY, Constants.NETHER_ROOF_Y - 1) }];
+	if (problem.allowNetherRoof && maxY >= Constants.NETHER_ROOF_Y) {
+		ranges.push({ minY: Math.max(minY, Constants.NETHER_ROOF_Y), maxY });
+	}
+	return ranges.filter((range) => range.minY <= range.maxY);
+}
+
+// Y ranges of valid positions (lowest portal block) of a portal, its frame needs one block below and above
+function getPortalYRanges(problem, portal) {
+	return getBuildRanges(problem, portal.dim)
+		.map((range) => ({ minY: range.minY + 1, maxY: range.maxY - portal.height }))
+		.filter((range) => range.minY <= range.maxY);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { LinkingModels, DEFAULT_LINKING_MODEL, getLinkingModel, getBuildRanges, getPortalYRanges };
+}
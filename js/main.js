@@ -3,125 +3,631 @@
 document.addEventListener('DOMContentLoaded', () => {
 	const inputTextArea = document.getElementById('problemInput');
 	const solveButton = document.getElementById('solveButton');
+	const solverModeSelect = document.getElementById('solverMode');
+	const seedInput = document.getElementById('seedInput');
+	const pauseButton = document.getElementById('pauseButton');
+	const cancelButton = document.getElementById('cancelButton');
 	const statusDiv = document.getElementById('solverStatus');
 	const solutionOutput = document.getElementById('solutionOutput');
 	const linkDistancesOutput = document.getElementById('linkDistancesOutput');
+	const paretoSection = document.getElementById('paretoSection');
+	const paretoTable = document.getElementById('paretoTable');
 
 	const commandsOutput = document.getElementById('commandsOutput');
 	const copyCommandsButton = document.getElementById('copyCommandsButton');
 	const copyStatusSpan = document.getElementById('copyStatus');
+	const downloadDatapackButton = document.getElementById('downloadDatapackButton');
+	const datapackUndoCheckbox = document.getElementById('datapackUndoCheckbox');
+	const downloadStructuresButton = document.getElementById('downloadStructuresButton');
+	const structuresLitematicCheckbox = document.getElementById('structuresLitematicCheckbox');
+	const downloadResultButton = document.getElementById('downloadResultButton');
+	const exportStatusSpan = document.getElementById('exportStatus');
 
-	solveButton.addEventListener('click', async () => {
+	const savedProblemsSelect = document.getElementById('savedProblems');
+	const loadButton = document.getElementById('loadButton');
+	const deleteButton = document.getElementById('deleteButton');
+	const saveNameInput = document.getElementById('saveNameInput');
+	const saveButton = document.getElementById('saveButton');
+	const shareButton = document.getElementById('shareButton');
+	const shareSolutionCheckbox = document.getElementById('shareSolutionCheckbox');
+	const exportProblemButton = document.getElementById('exportProblemButton');
+	const openProblemButton = document.getElementById('openProblemButton');
+	const openProblemInput = document.getElementById('openProblemInput');
+	const storageStatusSpan = document.getElementById('storageStatus');
+
+	const importWorldInput = document.getElementById('importWorldInput');
+	const importModeSelect = document.getElementById('importMode');
+	const importPrefixInput = document.getElementById('importPrefix');
+	const importButton = document.getElementById('importButton');
+	const importStatusSpan = document.getElementById('importStatus');
+
+	const mapDimensionSelect = document.getElementById('mapDimension');
+	const mapOverworldScaleCheckbox = document.getElementById('mapOverworldScale');
+	const mapFitButton = document.getElementById('mapFitButton');
+	const mapEditToggle = document.getElementById('mapEditToggle');
+	const mapInfo = document.getElementById('mapInfo');
+	const portalMap = new PortalMap(document.getElementById('mapCanvas'), mapInfo);
+	const positionEditor = new PositionEditor(
+		portalMap,
+		inputTextArea,
+		{
+			panel: document.getElementById('posEditorPanel'),
+			portalSelect: document.getElementById('posEditorPortal'),
+			typeSelect: document.getElementById('posEditorType'),
+			fields: {
+				minX: document.getElementById('posEditorMinX'),
+				minY: document.getElementById('posEditorMinY'),
+				minZ: document.getElementById('posEditorMinZ'),
+				maxX: document.getElementById('posEditorMaxX'),
+				maxY: document.getElementById('posEditorMaxY'),
+				maxZ: document.getElementById('posEditorMaxZ'),
+			},
+			deleteButton: document.getElementById('posEditorDelete'),
+		},
+		() => syncMapFromInput()
+	);
+	// INCLUDE lines of the input name saved problems
+	const parseOptions = { resolveInclude: resolveSavedInclude };
+	const inputEditor = new InputEditor(
+		inputTextArea,
+		{
+			highlight: document.getElementById('inputHighlight'),
+			gutter: document.getElementById('inputGutter'),
+			completions: document.getElementById('inputCompletions'),
+			diagnostics: document.getElementById('inputDiagnostics'),
+		},
+		(diagnostics) => {
+			// Solving stays blocked while the input has errors
+			inputHasErrors = diagnostics.some((diagnostic) => diagnostic.severity === 'error');
+			if (!solverWorker) solveButton.disabled = inputHasErrors;
+		},
+		parseOptions
+	);
+
+	// --- Solver Run (Web Worker) ---
+
+	let solverWorker = null;
+	let isPaused = false;
+	let inputHasErrors = false; // Set by the input editor
+
+	function setRunning(running) {
+		solveButton.disabled = running || inputHasErrors;
+		pauseButton.disabled = !running;
+		cancelButton.disabled = !running;
+		isPaused = false;
+		pauseButton.textContent = 'Pause';
+	}
+
+	function finishRun() {
+		if (solverWorker) {
+			solverWorker.terminate();
+			solverWorker = null;
+		}
+		setRunning(false);
+		if (!statusDiv.textContent.startsWith('Status: Error')) {
+			// Keep the final status message unless it was an error
+			const finalStatus = statusDiv.textContent.replace('Optimizing...', 'Finished.');
+			statusDiv.textContent = finalStatus;
+		}
+	}
+
+	function showError(error) {
+		statusDiv.textContent = 'Status: Error';
+		solutionOutput.textContent = `Error: ${error.message}\n\n${error.stack || ''}`;
+		linkDistancesOutput.textContent = '';
+		paretoSection.hidden = true;
+		commandsOutput.textContent = 'Error occurred, no commands generated.';
+		copyCommandsButton.disabled = true;
+		downloadDatapackButton.disabled = true;
+		downloadStructuresButton.disabled = true;
+		downloadResultButton.disabled = true;
+		console.error('Solver Error:', error);
+	}
+
+	solveButton.addEventListener('click', () => {
 		const inputText = inputTextArea.value;
 		solutionOutput.textContent = 'Parsing input...';
 		linkDistancesOutput.textContent = ''; // Clear previous results
+		paretoSection.hidden = true;
 		commandsOutput.textContent = 'Commands will appear here...'; // Clear commands
 		copyCommandsButton.disabled = true; // Disable copy button initially
 		copyStatusSpan.textContent = ''; // Clear copy status
+		downloadDatapackButton.disabled = true;
+		downloadStructuresButton.disabled = true;
+		downloadResultButton.disabled = true;
+		exportStatusSpan.textContent = '';
 
-		solveButton.disabled = true;
 		statusDiv.textContent = 'Status: Parsing...';
 
+		let problem;
 		try {
-			const problem = parseProblem(inputText);
+			problem = parseProblem(inputText, parseOptions);
 			// console.log("Parsed Problem:", problem);
 
-			const statusCallback = (message) => {
-				statusDiv.textContent = `Status: ${message}`;
-			};
-
-			const progressCallback = (iteration, maxIterations, temperature, cost) => {
-				const progressPercent = ((iteration / maxIterations) * 100).toFixed(1);
-				statusDiv.textContent = `Status: Optimizing... Iteration ${iteration}/${maxIterations} (${progressPercent}%) | Temp: ${temperature.toFixed(
-					2
-				)} | Best Cost: ${cost.toFixed(2)}`;
-			};
+			// The Seed field overrides a SEED directive in the input
+			const seedText = seedInput.value.trim();
+			if (seedText !== '') {
+				problem.seed = parseSeed(seedText);
+				if (problem.seed === null) {
+					throw new Error('Seed must be an integer between 0 and 4294967295');
+				}
+			}
+		} catch (error) {
+			showError(error);
+			return;
+		}
 
-			const solver = new PortalSolver(problem, statusCallback, progressCallback);
-			const result = await solver.solve();
+		setRunning(true);
+		solutionOutput.textContent = 'Solving...';
 
-			// --- Format Output ---
-			let outputText = `Solver Status: ${result.message}\n`;
-			outputText += `Success: ${result.success}\n\n`;
+		solverWorker = new Worker('js/solver-worker.js');
+		solverWorker.onmessage = (event) => {
+			const message = event.data;
+			switch (message.type) {
+				case 'status':
+					statusDiv.textContent = `Status: ${message.message}`;
+					break;
 
-			let generatedCommands = '';
+				case 'progress':
+					const progressPercent = ((message.iteration / message.maxIterations) * 100).toFixed(1);
+					const temperature = message.temperature.toFixed(2);
+					const cost = message.cost.toFixed(2);
+					statusDiv.textContent = `Status: Optimizing... Iteration ${message.iteration}/${message.maxIterations} (${progressPercent}%) | Temp: ${temperature} | Best Cost: ${cost}`;
+					break;
 
-			if (result.solution) {
-				outputText += '--- Portal Positions ---\n';
-				const sortedNames = Object.keys(result.solution).sort();
-				for (const name of sortedNames) {
-					const pos = result.solution[name];
-					const portalInfo = problem.portals[name]; // Get portal info
-					if (!portalInfo) {
-						console.warn(`Portal info not found for ${name} during output generation.`);
-						continue;
+				case 'result':
+					try {
+						displayResult(problem, message.result);
+					} catch (error) {
+						showError(error);
 					}
-					outputText += `${name} (${portalInfo.dim}, Face ${portalInfo.face}):\t(${pos.x}, ${pos.y}, ${pos.z})\n`;
+					lastResult = { text: inputText, result: message.result };
+					saveCurrentProblem(currentEntry());
+					finishRun();
+					break;
 
-					// --- Generate Command for this portal ---
-					const dimension = portalInfo.dim === 'N' ? 'the_nether' : 'overworld';
-					const axis = portalInfo.face === 'X' ? 'z' : 'x'; // Opposite of facing
-					const command = `/execute in minecraft:${dimension} run setblock ${pos.x} ${pos.y} ${pos.z} minecraft:nether_portal[axis=${axis}] strict`;
-					generatedCommands += command + '\n';
-				}
-				// Enable copy button only if commands were generated
-				if (generatedCommands.length > 0) {
-					commandsOutput.textContent = generatedCommands.trim(); // Put commands in pre, trim trailing newline
-					copyCommandsButton.disabled = false;
-				} else {
-					commandsOutput.textContent = 'No commands generated (no solution found or no portals).';
-				}
-			} else {
-				outputText += 'No solution found.\n';
-				commandsOutput.textContent = 'No commands generated (no solution found).';
+				case 'error':
+					showError(message);
+					finishRun();
+					break;
 			}
+		};
+		solverWorker.onerror = (event) => {
+			showError(new Error(event.message || 'Solver worker failed to run.'));
+			finishRun();
+		};
 
-			if (!result.success) {
-				outputText += '\n--- Violated Constraints ---\n';
-				if (result.violatedPositions.length > 0) {
-					outputText += `Position Constraints Violated: ${result.violatedPositions.join(', ')}\n`;
-				}
-				if (result.violatedLinks.length > 0) {
-					outputText += `Desired Links Violated: ${result.violatedLinks.join('; ')}\n`;
-				}
+		solverWorker.postMessage({ type: 'solve', problem: problem, mode: solverModeSelect.value });
+	});
+
+	pauseButton.addEventListener('click', () => {
+		if (!solverWorker) return;
+		isPaused = !isPaused;
+		solverWorker.postMessage({ type: isPaused ? 'pause' : 'resume' });
+		pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+	});
+
+	cancelButton.addEventListener('click', () => {
+		if (!solverWorker) return;
+		solverWorker.postMessage({ type: 'cancel' });
+		statusDiv.textContent = 'Status: Cancelling...';
+		pauseButton.disabled = true;
+		cancelButton.disabled = true;
+	});
+
+	// Problem and solution shown in the output, for exports
+	let displayedSolution = null;
+
+	function displayResult(problem, result) {
+		solutionOutput.textContent = formatSolutionText(problem, result);
+		displayedSolution = { problem, solution: result.solution, result: result };
+		downloadResultButton.disabled = false;
+
+		const generatedCommands = generatePortalCommands(problem, result.solution);
+		if (!result.solution) {
+			commandsOutput.textContent = 'No commands generated (no solution found).';
+		} else if (generatedCommands.length > 0) {
+			// Enable copy button only if commands were generated
+			commandsOutput.textContent = generatedCommands.join('\n');
+			copyCommandsButton.disabled = false;
+			downloadDatapackButton.disabled = false;
+			downloadStructuresButton.disabled = false;
+		} else {
+			commandsOutput.textContent = 'No commands generated (no solution found or no portals).';
+		}
+
+		linkDistancesOutput.textContent = formatLinkDistancesText(result);
+		renderParetoTable(problem, result);
+		portalMap.setData(problem, result);
+		positionEditor.refresh();
+	}
+
+	// --- Alternative Layouts ---
+
+	// Side by side table of the non-dominated layouts: one column per layout with its goal distances,
+	// weighted cost and the positions of the movable portals
+	function renderParetoTable(problem, result) {
+		const alternatives = result.paretoSolutions || [];
+		paretoSection.hidden = alternatives.length === 0;
+		paretoTable.innerHTML = '';
+		if (alternatives.length === 0) return;
+		const shownIndex = result.shownAlternative || 0;
+
+		const addRow = (label, cells, bestIndices = []) => {
+			const row = paretoTable.insertRow();
+			const header = document.createElement('th');
+			header.textContent = label;
+			row.appendChild(header);
+			cells.forEach((content, i) => {
+				const cell = row.insertCell();
+				if (typeof content === 'object') cell.appendChild(content);
+				else cell.textContent = content;
+				if (i === shownIndex) cell.classList.add('pareto-shown');
+				if (bestIndices.includes(i)) cell.classList.add('pareto-best');
+			});
+		};
+		const bestOf = (values) => values.flatMap((value, i) => (value === Math.min(...values) ? [i] : []));
+
+		addRow(
+			'Layout',
+			alternatives.map((alternative, i) => {
+				if (i === shownIndex) return `#${i + 1} (shown)`;
+				const button = document.createElement('button');
+				button.className = 'copy-button';
+				button.textContent = `Show #${i + 1}`;
+				button.addEventListener('click', () => showAlternative(problem, result, i));
+				return button;
+			})
+		);
+		for (const label of Object.keys(alternatives[0].objectives)) {
+			const values = alternatives.map((alternative) => alternative.objectives[label]);
+			addRow(label, values, bestOf(values));
+		}
+		const costs = alternatives.map((alternative) => alternative.cost);
+		addRow('Weighted cost', costs, bestOf(costs));
+		for (const name of Object.keys(alternatives[0].solution).sort()) {
+			if (problem.portals[name].fixed) continue;
+			addRow(
+				name,
+				alternatives.map(({ solution }) => `${solution[name].x}, ${solution[name].y}, ${solution[name].z}`)
+			);
+		}
+	}
+
+	// Shows another layout of the set as the result, checked again like a shared solution
+	function showAlternative(problem, result, index) {
+		const alternative = result.paretoSolutions[index];
+		const shown = new PortalSolver(problem).verifySolution(alternative.solution);
+		shown.message = `Alternative layout #${index + 1}. ${shown.message}`;
+		shown.seed = result.seed;
+		shown.paretoSolutions = result.paretoSolutions;
+		shown.shownAlternative = index;
+		displayResult(problem, shown);
+		if (lastResult && lastResult.result === result) {
+			lastResult = { text: lastResult.text, result: shown };
+			saveCurrentProblem(currentEntry());
+		}
+	}
+
+	// --- Map ---
+
+	// The map shows the parsed input while it is edited, text and map edits both go through parseProblem
+	let inputSyncTimer = null;
+
+	function syncMapFromInput() {
+		clearTimeout(inputSyncTimer);
+		inputEditor.refresh();
+		let problem;
+		try {
+			problem = parseProblem(inputTextArea.value, { ...parseOptions, allowMissingPositions: true });
+		} catch (error) {
+			mapInfo.textContent = `Input error, the map shows the last valid input.\n${error.message}`;
+			return;
+		}
+		portalMap.setProblem(problem);
+		positionEditor.refresh();
+	}
+
+	inputTextArea.addEventListener('input', () => {
+		clearTimeout(inputSyncTimer);
+		inputSyncTimer = setTimeout(syncMapFromInput, 300);
+	});
+
+	mapDimensionSelect.addEventListener('change', () => {
+		portalMap.setDimension(mapDimensionSelect.value);
+		positionEditor.refresh();
+	});
+
+	mapOverworldScaleCheckbox.addEventListener('change', () => {
+		portalMap.setOverworldScale(mapOverworldScaleCheckbox.checked);
+	});
+
+	mapFitButton.addEventListener('click', () => {
+		portalMap.fitView();
+	});
+
+	mapEditToggle.addEventListener('change', () => {
+		positionEditor.setEnabled(mapEditToggle.checked);
+	});
+
+	// --- Persistence and Share Links ---
+
+	let lastResult = null; // { text, result } of the last solve
+	let autoSaveTimer = null;
+
+	// The input with its result, as long as the input wasn't changed since it was solved
+	function currentEntry() {
+		const result = lastResult && lastResult.text === inputTextArea.value ? lastResult.result : null;
+		return { text: inputTextArea.value, seed: seedInput.value, result: result };
+	}
+
+	function autoSave() {
+		clearTimeout(autoSaveTimer);
+		autoSaveTimer = setTimeout(() => saveCurrentProblem(currentEntry()), 500);
+	}
+
+	function setStorageStatus(message, isError = false) {
+		storageStatusSpan.textContent = message;
+		storageStatusSpan.style.color = isError ? 'red' : 'green';
+		if (!isError) {
+			setTimeout(() => {
+				if (storageStatusSpan.textContent === message) storageStatusSpan.textContent = '';
+			}, 2500);
+		}
+	}
+
+	function updateSavedProblemList() {
+		const selected = savedProblemsSelect.value;
+		savedProblemsSelect.innerHTML = '<option value="">Saved problems...</option>';
+		for (const name of listSavedProblems()) {
+			const option = document.createElement('option');
+			option.value = name;
+			option.textContent = name;
+			savedProblemsSelect.appendChild(option);
+		}
+		savedProblemsSelect.value = listSavedProblems().includes(selected) ? selected : '';
+	}
+
+	function resetOutput() {
+		statusDiv.textContent = 'Status: Idle';
+		solutionOutput.textContent = 'Results will appear here...';
+		linkDistancesOutput.textContent = 'Link distance info will appear here...';
+		paretoSection.hidden = true;
+		commandsOutput.textContent = 'Commands will appear here...';
+		copyCommandsButton.disabled = true;
+		downloadDatapackButton.disabled = true;
+		downloadStructuresButton.disabled = true;
+		downloadResultButton.disabled = true;
+		exportStatusSpan.textContent = '';
+	}
+
+	// Show a stored or shared entry: its input, seed and result (if the input still parses)
+	function restoreEntry(entry) {
+		inputTextArea.value = entry.text;
+		seedInput.value = entry.seed || '';
+		lastResult = null;
+		resetOutput();
+		if (entry.result) {
+			try {
+				displayResult(parseProblem(entry.text, parseOptions), entry.result);
+				lastResult = { text: entry.text, result: entry.result };
+			} catch (error) {
+				console.warn('Stored result could not be shown:', error);
 			}
+		}
+		syncMapFromInput();
+	}
 
-			if (Object.keys(result.optimizationDistances).length > 0) {
-				outputText += '\n--- Optimization Goal Distances ---\n';
-				for (const key in result.optimizationDistances) {
-					const dist = result.optimizationDistances[key];
-					outputText += `${key} (Weight: ${dist.weight}): ${dist.linear} (Sq: ${dist.squared})\n`;
-				}
+	// Returns false if the page was not opened with a share link
+	async function restoreFromShareLink() {
+		const payload = await decodeShareFragment(location.hash.slice(1));
+		if (!payload) return false;
+
+		const seed = payload.seed !== undefined && payload.seed !== null ? payload.seed : null;
+		let result = null;
+		if (payload.solution) {
+			// Check the shared solution again instead of trusting a stored result. Text that doesn't parse
+			// here (a draft, an INCLUDE that isn't saved here) is still restored, without the solution.
+			try {
+				const problem = parseProblem(payload.text, parseOptions);
+				if (seed !== null) problem.seed = seed;
+				result = new PortalSolver(problem).verifySolution(payload.solution);
+				result.message = `Shared solution. ${result.message}`;
+			} catch (error) {
+				setStorageStatus(`The shared solution could not be checked: ${error.message}`, true);
+				result = null;
 			}
+		}
+		restoreEntry({ text: payload.text, seed: seed !== null ? `${seed}` : '', result: result });
+		// Later edits are saved locally, a reload shouldn't bring back the shared version
+		history.replaceState(null, '', location.href.split('#')[0]);
+		return true;
+	}
 
-			solutionOutput.textContent = outputText;
-
-			// --- Format Link Distances Output ---
-			let linkDistText =
-				"Calculated distances (distSq & dist) from the Floored Scaled Position (Bd) of the source portal's center entity position to the destination portal's actual position (DestPos).\nLower distances generally mean more stable links.\n\n";
-			const sortedLinkKeys = Object.keys(result.linkDistances).sort();
-			for (const key of sortedLinkKeys) {
-				const data = result.linkDistances[key];
-				linkDistText += `${key}:\n`;
-				linkDistText += `  Bd: ${data.Bd} -> DestPos: ${data.DestPos}\n`;
-				linkDistText += `  Distance: ${data.dist} (Sq: ${data.distSq})\n\n`;
+	async function restoreProblem() {
+		try {
+			if (await restoreFromShareLink()) {
+				saveCurrentProblem(currentEntry());
+				return;
 			}
-			linkDistancesOutput.textContent = linkDistText;
 		} catch (error) {
-			statusDiv.textContent = 'Status: Error';
-			solutionOutput.textContent = `Error: ${error.message}\n\n${error.stack || ''}`;
-			linkDistancesOutput.textContent = '';
-			commandsOutput.textContent = 'Error occurred, no commands generated.';
-			copyCommandsButton.disabled = true;
-			console.error('Solver Error:', error);
-		} finally {
-			solveButton.disabled = false;
-			if (!statusDiv.textContent.startsWith('Status: Error')) {
-				// Keep the final status message unless it was an error
-				const finalStatus = statusDiv.textContent.replace('Optimizing...', 'Finished.');
-				statusDiv.textContent = finalStatus;
+			setStorageStatus(`Could not open the share link: ${error.message}`, true);
+		}
+		const current = loadCurrentProblem();
+		if (current) {
+			restoreEntry(current);
+		} else {
+			syncMapFromInput();
+		}
+	}
+
+	inputTextArea.addEventListener('input', autoSave);
+	seedInput.addEventListener('input', autoSave);
+
+	saveButton.addEventListener('click', () => {
+		const name = saveNameInput.value.trim() || savedProblemsSelect.value;
+		if (!name) {
+			setStorageStatus('Enter a name to save the problem.', true);
+			return;
+		}
+		if (!saveNamedProblem(name, currentEntry())) {
+			setStorageStatus('Saving failed (storage disabled or full).', true);
+			return;
+		}
+		updateSavedProblemList();
+		savedProblemsSelect.value = name;
+		saveNameInput.value = '';
+		setStorageStatus(`Saved ${name}.`);
+	});
+
+	loadButton.addEventListener('click', () => {
+		const name = savedProblemsSelect.value;
+		const entry = name ? loadNamedProblem(name) : null;
+		if (!entry) {
+			setStorageStatus('Select a saved problem to load.', true);
+			return;
+		}
+		restoreEntry(entry);
+		saveCurrentProblem(currentEntry());
+		setStorageStatus(`Loaded ${name}.`);
+	});
+
+	deleteButton.addEventListener('click', () => {
+		const name = savedProblemsSelect.value;
+		if (!name || !confirm(`Delete the saved problem ${name}?`)) return;
+		deleteNamedProblem(name);
+		updateSavedProblemList();
+		setStorageStatus(`Deleted ${name}.`);
+	});
+
+	shareButton.addEventListener('click', async () => {
+		// Saved problems aren't part of the link, INCLUDE lines are replaced by their fragments
+		const payload = { text: inlineIncludes(inputTextArea.value, resolveSavedInclude) };
+		if (shareSolutionCheckbox.checked) {
+			const result = currentEntry().result;
+			if (result && result.solution) {
+				payload.solution = result.solution;
+				payload.seed = result.seed;
+			} else {
+				payload.seed = parseSeed(seedInput.value.trim());
 			}
 		}
+
+		try {
+			const url = `${location.href.split('#')[0]}#${await encodeShareFragment(payload)}`;
+			await navigator.clipboard.writeText(url);
+			setStorageStatus(payload.solution ? 'Link with solution copied!' : 'Link copied!');
+		} catch (error) {
+			setStorageStatus('Creating the share link failed!', true);
+			console.error('Failed to create share link: ', error);
+		}
+	});
+
+	// The problem in the JSON format (see schema/problem.schema.json), named like the saved problem
+	exportProblemButton.addEventListener('click', () => {
+		let problem;
+		try {
+			problem = parseProblem(inputTextArea.value, parseOptions);
+		} catch (error) {
+			setStorageStatus('Fix the input errors before exporting.', true);
+			return;
+		}
+		const name = saveNameInput.value.trim() || savedProblemsSelect.value || 'problem';
+		downloadFile(JSON.stringify(problemToJson(problem), null, 2), `${name}.json`, 'application/json');
+		setStorageStatus(`Exported ${name}.json.`);
+	});
+
+	openProblemButton.addEventListener('click', () => openProblemInput.click());
+
+	// Problem files in the text or JSON format. JSON is shown as canonical input text.
+	openProblemInput.addEventListener('change', async () => {
+		const file = openProblemInput.files[0];
+		if (!file) return;
+		openProblemInput.value = ''; // Opening the same file again should fire another change
+		try {
+			const text = await file.text();
+			const isJson = text.trimStart().startsWith('{');
+			restoreEntry({ text: isJson ? formatProblemText(parseProblemInput(text)) : text, seed: '' });
+			saveCurrentProblem(currentEntry());
+			setStorageStatus(`Opened ${file.name}.`);
+		} catch (error) {
+			setStorageStatus(`Could not open ${file.name}: ${error.message}`, true);
+		}
+	});
+
+	updateSavedProblemList();
+	restoreProblem();
+
+	// --- World Import ---
+
+	function setImportStatus(message, isError = false) {
+		importStatusSpan.textContent = message;
+		importStatusSpan.style.color = isError ? 'red' : 'green';
+	}
+
+	importButton.addEventListener('click', async () => {
+		const [x1, x2, z1, z2] = ['importMinX', 'importMaxX', 'importMinZ', 'importMaxZ'].map((id) =>
+			Number(document.getElementById(id).value)
+		);
+		if ([x1, x2, z1, z2].some((coord) => !Number.isInteger(coord))) {
+			setImportStatus('The area coordinates must be integers.', true);
+			return;
+		}
+		const prefix = importPrefixInput.value.trim();
+		if (!prefix || /\s/.test(prefix)) {
+			setImportStatus('The name prefix must be a name without spaces.', true);
+			return;
+		}
+		const regionFiles = Array.from(importWorldInput.files || [], (file) => ({
+			path: file.webkitRelativePath || file.name,
+			read: async () => new Uint8Array(await file.arrayBuffer()),
+		}));
+		if (regionFiles.length === 0) {
+			setImportStatus('Select a world folder first.', true);
+			return;
+		}
+
+		importButton.disabled = true;
+		setImportStatus('Reading region files...');
+		try {
+			const area = {
+				minX: Math.min(x1, x2),
+				minZ: Math.min(z1, z2),
+				maxX: Math.max(x1, x2),
+				maxZ: Math.max(z1, z2),
+			};
+			const { portals, warnings, regionCount } = await importWorldPortals(regionFiles, area);
+			for (const warning of warnings) console.warn('World import:', warning);
+			if (regionCount === 0) {
+				setImportStatus('No POI region files of this world cover the area.', true);
+				return;
+			}
+			if (portals.length === 0) {
+				setImportStatus(`No portals found in ${regionCount} region file(s).`, true);
+				return;
+			}
+
+			let takenNames = new Set();
+			try {
+				takenNames = new Set(
+					Object.keys(
+						parseProblem(inputTextArea.value, { ...parseOptions, allowMissingPositions: true }).portals
+					)
+				);
+			} catch (error) {
+				// Invalid input, the imported names may clash with it
+			}
+			const lines = formatImportedPortals(portals, importModeSelect.value, prefix, takenNames);
+			inputTextArea.value = `${inputTextArea.value.replace(/\s*$/, '')}\n\n${lines.join('\n')}\n`;
+			inputTextArea.dispatchEvent(new Event('input'));
+			const warningNote = warnings.length > 0 ? ` ${warnings.length} warning(s), see the browser console.` : '';
+			setImportStatus(`Added ${portals.length} portal(s) to the input.${warningNote}`);
+		} catch (error) {
+			setImportStatus(`Import failed: ${error.message}`, true);
+			console.error('World import failed: ', error);
+		} finally {
+			importButton.disabled = false;
+		}
 	});
 
 	copyCommandsButton.addEventListener('click', () => {
@@ -150,4 +656,60 @@ document.addEventListener('DOMContentLoaded', () => {
 			}
 		);
 	});
+
+	function setExportStatus(message, isError = false) {
+		exportStatusSpan.textContent = message;
+		exportStatusSpan.style.color = isError ? 'red' : 'green';
+	}
+
+	function downloadFile(bytes, fileName, type = 'application/zip') {
+		const url = URL.createObjectURL(new Blob([bytes], { type: type }));
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = fileName;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	downloadDatapackButton.addEventListener('click', () => {
+		const { problem, solution, result } = displayedSolution;
+		const pack = createPortalDatapack(problem, solution, {
+			includeUndo: datapackUndoCheckbox.checked,
+			seed: result.seed,
+		});
+		if (!pack) {
+			setExportStatus('No portals to build.', true);
+			return;
+		}
+
+		downloadFile(pack.bytes, pack.fileName);
+		const [buildCommand, undoCommand] = pack.commands;
+		setExportStatus(
+			`Install the pack, then build with ${buildCommand}${undoCommand ? ` and remove with ${undoCommand}` : ''}.`
+		);
+	});
+
+	downloadResultButton.addEventListener('click', () => {
+		const { problem, result } = displayedSolution;
+		downloadFile(JSON.stringify(resultToJson(problem, result), null, 2), 'result.json', 'application/json');
+		setExportStatus('Result saved as result.json.');
+	});
+
+	downloadStructuresButton.addEventListener('click', async () => {
+		const { problem, solution } = displayedSolution;
+		try {
+			const structures = await createPortalStructures(problem, solution, {
+				includeLitematic: structuresLitematicCheckbox.checked,
+			});
+			if (!structures) {
+				setExportStatus('No portals to build.', true);
+				return;
+			}
+			downloadFile(structures.bytes, structures.fileName);
+			setExportStatus('Origins and dimensions of the structures are listed in placements.txt.');
+		} catch (error) {
+			setExportStatus(error.message, true);
+			console.error('Failed to create structures: ', error);
+		}
+	});
 });
@@ -0,0 +1,358 @@
+// js/map-editor.js
+
+// Map editor for POS boxes. Boxes are edited in the XZ plane of the map, Y ranges in the side panel.
+// Every edit rewrites the POS lines of the input text, which is then parsed again to update the map,
+// so the text stays the only source of the problem.
+
+function formatPosLine(constraint) {
+	const { min, max } = constraint;
+	return `POS ${constraint.portalName} ${constraint.type} ${min.x} ${min.y} ${min.z} ${max.x} ${max.y} ${max.z}`;
+}
+
+// Boxes of INCLUDE fragments have no line of their own to rewrite, rewriting boxes given by a REGION
+// name or VAR expressions as plain numbers would lose them and a box split by the build height is two
+// boxes of one line, so those are only shown
+function isEditableBox(constraint) {
+	return !constraint.included && constraint.region === null && !constraint.expressions && !constraint.split;
+}
+
+// Line numbers are 1-based, like the parser's constraint.line
+function replaceInputLine(text, line, newLine) {
+	const lines = text.split('\n');
+	lines[line - 1] = newLine;
+	return lines.join('\n');
+}
+
+function removeInputLine(text, line) {
+	const lines = text.split('\n');
+	lines.splice(line - 1, 1);
+	return lines.join('\n');
+}
+
+// Insert a POS line after the last POS line of the same portal. The first box of a portal goes after
+// the last POS line of any portal, but never before the portal is declared.
+// Returns the new text and the line number of the inserted line.
+function insertPosLine(text, problem, constraint) {
+	const samePortal = problem.positionConstraints.filter((c) => c.portalName === constraint.portalName);
+	const after = samePortal.length > 0 ? samePortal : problem.positionConstraints;
+	const lines = text.split('\n');
+	const index = Math.max(problem.portals[constraint.portalName].line, ...after.map((c) => c.line));
+	lines.splice(index, 0, formatPosLine(constraint));
+	return { text: lines.join('\n'), line: index + 1 };
+}
+
+// Box handles: corners and edge centers, with the box edges they move
+const EDITOR_HANDLES = [
+	{ minX: true, minZ: true },
+	{ maxX: true, minZ: true },
+	{ minX: true, maxZ: true },
+	{ maxX: true, maxZ: true },
+	{ minX: true },
+	{ maxX: true },
+	{ minZ: true },
+	{ maxZ: true },
+];
+
+class PositionEditor {
+	// elements: { panel, portalSelect, typeSelect, fields: { minX, minY, minZ, maxX, maxY, maxZ }, deleteButton }
+	// onInputChanged is called after the input text was changed, it should parse it and call refresh()
+	constructor(map, inputTextArea, elements, onInputChanged) {
+		this.map = map;
+		this.inputTextArea = inputTextArea;
+		this.elements = elements;
+		this.onInputChanged = onInputChanged;
+
+		this.enabled = false;
+		this.selectedLine = null; // Input line of the selected POS box
+		this.interaction = null; // { mode: 'create' | 'move' | 'resize', startBlock, original, handle }
+		this.preview = null; // Box being dragged, written to the input on mouse up
+
+		elements.portalSelect.addEventListener('change', () => this.onPanelChange());
+		elements.typeSelect.addEventListener('change', () => this.onPanelChange());
+		for (const field of Object.values(elements.fields)) {
+			field.addEventListener('change', () => this.onPanelChange());
+		}
+		elements.deleteButton.addEventListener('click', () => this.deleteSelected());
+		map.canvas.addEventListener('keydown', (event) => {
+			if (this.enabled && (event.key === 'Delete' || event.key === 'Backspace')) {
+				event.preventDefault();
+				this.deleteSelected();
+			}
+		});
+	}
+
+	setEnabled(enabled) {
+		this.enabled = enabled;
+		this.elements.panel.hidden = !enabled;
+		this.interaction = null;
+		this.preview = null;
+		if (!enabled) this.selectedLine = null;
+		this.map.setEditor(enabled ? this : null);
+		this.refresh();
+	}
+
+	// Update the panel after the map's problem or dimension changed
+	refresh() {
+		if (this.getSelected() === null) this.selectedLine = null;
+		this.updatePortalOptions();
+		this.updatePanel();
+		this.map.draw();
+	}
+
+	getSelected() {
+		if (this.selectedLine === null || !this.map.problem) return null;
+		const selected = this.map
+			.getPositionBoxes()
+			.find((constraint) => constraint.line === this.selectedLine && isEditableBox(constraint));
+		return selected || null;
+	}
+
+	// Only movable portals of the shown dimension can get POS boxes
+	updatePortalOptions() {
+		const select = this.elements.portalSelect;
+		const previous = select.value;
+		select.innerHTML = '';
+		if (!this.map.problem) return;
+
+		for (const name of Object.keys(this.map.problem.portals).sort()) {
+			const portal = this.map.problem.portals[name];
+			if (portal.fixed || portal.dim !== this.map.dimension) continue;
+			const option = document.createElement('option');
+			option.value = name;
+			option.textContent = name;
+			select.appendChild(option);
+		}
+		if ([...select.options].some((option) => option.value === previous)) select.value = previous;
+	}
+
+	// Show the selected box, or the portal, type and Y range used for new boxes
+	updatePanel() {
+		const selected = this.getSelected();
+		const fields = this.elements.fields;
+		this.elements.deleteButton.disabled = selected === null;
+		for (const key of ['minX', 'minZ', 'maxX', 'maxZ']) fields[key].disabled = selected === null;
+
+		if (selected) {
+			this.elements.portalSelect.value = selected.portalName;
+			this.elements.typeSelect.value = selected.type;
+			fields.minX.value = selected.min.x;
+			fields.minY.value = selected.min.y;
+			fields.minZ.value = selected.min.z;
+			fields.maxX.value = selected.max.x;
+			fields.maxY.value = selected.max.y;
+			fields.maxZ.value = selected.max.z;
+		} else {
+			for (const key of ['minX', 'minZ', 'maxX', 'maxZ']) fields[key].value = '';
+			if (fields.minY.value === '') fields.minY.value = 64;
+			if (fields.maxY.value === '') fields.maxY.value = 64;
+		}
+	}
+
+	onPanelChange() {
+		const selected = this.getSelected();
+		if (!selected) return; // Values are used for the next new box
+
+		const fields = this.elements.fields;
+		const values = Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, Number(field.value)]));
+		if (Object.values(values).some((value) => !Number.isFinite(value))) {
+			this.updatePanel();
+			return;
+		}
+		this.commit({
+			portalName: this.elements.portalSelect.value,
+			type: this.elements.typeSelect.value,
+			min: vec3(
+				Math.min(values.minX, values.maxX),
+				Math.min(values.minY, values.maxY),
+				Math.min(values.minZ, values.maxZ)
+			),
+			max: vec3(
+				Math.max(values.minX, values.maxX),
+				Math.max(values.minY, values.maxY),
+				Math.max(values.minZ, values.maxZ)
+			),
+			line: selected.line,
+		});
+	}
+
+	deleteSelected() {
+		const selected = this.getSelected();
+		if (!selected) return;
+		this.selectedLine = null;
+		this.inputTextArea.value = removeInputLine(this.inputTextArea.value, selected.line);
+		this.onInputChanged();
+	}
+
+	// Write a changed or new box (without line) to the input and select it
+	commit(constraint) {
+		if (constraint.line) {
+			this.inputTextArea.value = replaceInputLine(
+				this.inputTextArea.value,
+				constraint.line,
+				formatPosLine(constraint)
+			);
+			this.selectedLine = constraint.line;
+		} else {
+			const inserted = insertPosLine(this.inputTextArea.value, this.map.problem, constraint);
+			this.inputTextArea.value = inserted.text;
+			this.selectedLine = inserted.line;
+		}
+		this.onInputChanged();
+	}
+
+	// --- Mouse (called by the map, returning true consumes the event) ---
+
+	getBlock(pos) {
+		const world = this.map.screenToWorld(pos.x, pos.y);
+		return { x: Math.floor(world.x), z: Math.floor(world.z) };
+	}
+
+	getHandlePoints(box) {
+		const rect = this.map.blockRect(box.min.x, box.min.z, box.max.x, box.max.z, 2);
+		return EDITOR_HANDLES.map((handle) => ({
+			handle: handle,
+			x: handle.minX ? rect.x : handle.maxX ? rect.x + rect.w : rect.x + rect.w / 2,
+			y: handle.minZ ? rect.y : handle.maxZ ? rect.y + rect.h : rect.y + rect.h / 2,
+		}));
+	}
+
+	findBoxAt(pos) {
+		const boxes = this.map.getPositionBoxes().filter(isEditableBox);
+		// Last drawn is on top
+		for (let i = boxes.length - 1; i >= 0; i--) {
+			const rect = this.map.blockRect(boxes[i].min.x, boxes[i].min.z, boxes[i].max.x, boxes[i].max.z, 2);
+			if (pos.x >= rect.x && pos.x <= rect.x + rect.w && pos.y >= rect.y && pos.y <= rect.y + rect.h) {
+				return boxes[i];
+			}
+		}
+		return null;
+	}
+
+	onMouseDown(event, pos) {
+		// Shift or other buttons pan the map
+		if (!this.map.problem || event.button !== 0 || event.shiftKey) return false;
+		this.map.canvas.focus();
+
+		const startBlock = this.getBlock(pos);
+		const selected = this.getSelected();
+		if (selected) {
+			const hit = this.getHandlePoints(selected).find(
+				(point) => Math.hypot(point.x - pos.x, point.y - pos.y) <= 6
+			);
+			if (hit) {
+				this.interaction = { mode: 'resize', startBlock, original: selected, handle: hit.handle };
+				return true;
+			}
+		}
+
+		const box = this.findBoxAt(pos);
+		if (box) {
+			this.selectedLine = box.line;
+			this.interaction = { mode: 'move', startBlock, original: box };
+		} else {
+			this.selectedLine = null;
+			if (this.elements.portalSelect.value) this.interaction = { mode: 'create', startBlock };
+		}
+		this.updatePanel();
+		this.map.draw();
+		return true;
+	}
+
+	onMouseMove(event, pos) {
+		if (!this.interaction) return false;
+		const { mode, startBlock, original, handle } = this.interaction;
+		const block = this.getBlock(pos);
+
+		if (mode === 'create') {
+			const fields = this.elements.fields;
+			const minY = Number(fields.minY.value);
+			const maxY = Number(fields.maxY.value);
+			this.preview = {
+				portalName: this.elements.portalSelect.value,
+				type: this.elements.typeSelect.value,
+				min: vec3(Math.min(startBlock.x, block.x), Math.min(minY, maxY), Math.min(startBlock.z, block.z)),
+				max: vec3(Math.max(startBlock.x, block.x), Math.max(minY, maxY), Math.max(startBlock.z, block.z)),
+			};
+		} else if (mode === 'move') {
+			const dx = block.x - startBlock.x;
+			const dz = block.z - startBlock.z;
+			this.preview = {
+				...original,
+				min: vec3(original.min.x + dx, original.min.y, original.min.z + dz),
+				max: vec3(original.max.x + dx, original.max.y, original.max.z + dz),
+			};
+		} else {
+			const min = copyVec3(original.min);
+			const max = copyVec3(original.max);
+			if (handle.minX) min.x = block.x;
+			if (handle.maxX) max.x = block.x;
+			if (handle.minZ) min.z = block.z;
+			if (handle.maxZ) max.z = block.z;
+			this.preview = {
+				...original,
+				min: vec3(Math.min(min.x, max.x), min.y, Math.min(min.z, max.z)),
+				max: vec3(Math.max(min.x, max.x), max.y, Math.max(min.z, max.z)),
+			};
+		}
+		this.map.draw();
+		return true;
+	}
+
+	onMouseUp(event, pos) {
+		if (!this.interaction) return;
+		const { original } = this.interaction;
+		const preview = this.preview;
+		this.interaction = null;
+		this.preview = null;
+
+		// A click without dragging only selects
+		const unchanged =
+			preview === null ||
+			(original !== undefined &&
+				preview.min.x === original.min.x &&
+				preview.min.z === original.min.z &&
+				preview.max.x === original.max.x &&
+				preview.max.z === original.max.z);
+		if (unchanged) {
+			this.map.draw();
+			return;
+		}
+		this.commit(preview);
+	}
+
+	// --- Drawing (called by the map) ---
+
+	draw(ctx) {
+		const selected = this.getSelected();
+		if (selected && !this.preview) {
+			const rect = this.map.blockRect(selected.min.x, selected.min.z, selected.max.x, selected.max.z, 2);
+			ctx.strokeStyle = '#000';
+			ctx.lineWidth = 2;
+			ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+			ctx.fillStyle = '#fff';
+			for (const point of this.getHandlePoints(selected)) {
+				ctx.fillRect(point.x - 4, point.y - 4, 8, 8);
+				ctx.strokeRect(point.x - 4, point.y - 4, 8, 8);
+			}
+		}
+
+		if (this.preview) {
+			const box = this.preview;
+			const rect = this.map.blockRect(box.min.x, box.min.z, box.max.x, box.max.z, 2);
+			ctx.fillStyle = box.type === 'INC' ? MapColors.inclusive : MapColors.exclusive;
+			ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+			ctx.strokeStyle = '#000';
+			ctx.lineWidth = 1.5;
+			ctx.setLineDash([4, 3]);
+			ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+			ctx.setLineDash([]);
+			ctx.fillStyle = '#000';
+			ctx.font = '12px sans-serif';
+			ctx.fillText(
+				`${box.portalName} ${box.type} ${box.min.x} ${box.min.z} to ${box.max.x} ${box.max.z}`,
+				rect.x,
+				rect.y - 4
+			);
+		}
+	}
+}
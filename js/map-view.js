@@ -0,0 +1,511 @@
+// js/map-view.js
+
+// Top-down (X right, Z down) canvas map of one dimension of a solved network: portals, their POS boxes,
+// the destination search squares around the scaled entry points (Bd) and desired vs actual link arrows.
+// Arrows start at the Bd point of the source portal, which is where the source lies in this dimension.
+const MapColors = {
+	background: '#fafafa',
+	grid: '#e4e4e4',
+	inclusive: 'rgba(40, 167, 69, 0.12)',
+	inclusiveBorder: 'rgba(40, 167, 69, 0.6)',
+	exclusive: 'rgba(220, 53, 69, 0.15)',
+	exclusiveBorder: 'rgba(220, 53, 69, 0.6)',
+	fixed: '#6c757d',
+	foreign: '#343a40',
+	generated: '#fd7e14',
+	desired: '#007bff',
+	actualOk: '#28a745',
+	actualWrong: '#dc3545',
+	// Per source portal, for portals, search squares and Bd points
+	palette: ['#6f42c1', '#e83e8c', '#17a2b8', '#fd7e14', '#20c997', '#795548', '#3f51b5', '#9c27b0'],
+};
+
+class PortalMap {
+	constructor(canvas, infoElement) {
+		this.canvas = canvas;
+		this.context = canvas.getContext('2d');
+		this.infoElement = infoElement;
+
+		this.problem = null;
+		this.result = null;
+		this.dimension = Constants.O_DIM;
+		this.overworldScale = false; // Show Nether coordinates multiplied by 8
+		this.view = { x: 0, z: 0, zoom: 2 }; // Center in display coordinates, pixels per display block
+		this.hovered = null;
+		this.drag = null;
+		this.editor = null; // Optional PositionEditor, gets the mouse first (see map-editor.js)
+
+		this.canvas.addEventListener('wheel', (event) => this.onWheel(event), { passive: false });
+		this.canvas.addEventListener('mousedown', (event) => this.onMouseDown(event));
+		window.addEventListener('mouseup', (event) => this.onMouseUp(event));
+		this.canvas.addEventListener('mousemove', (event) => this.onMouseMove(event));
+		this.canvas.addEventListener('mouseleave', () => this.setHovered(null, null));
+		window.addEventListener('resize', () => this.draw());
+	}
+
+	setData(problem, result) {
+		this.problem = problem;
+		this.result = result;
+		this.hovered = null;
+		this.fitView();
+	}
+
+	// Show a problem without a (matching) solution, e.g. while the input is edited.
+	// The last result is kept as long as it has the same portals.
+	setProblem(problem) {
+		const firstProblem = this.problem === null;
+		const names = Object.keys(problem.portals).sort().join();
+		if (this.result && (!this.result.solution || Object.keys(this.result.solution).sort().join() !== names)) {
+			this.result = null;
+		}
+		this.problem = problem;
+		this.hovered = null;
+		if (firstProblem) {
+			this.fitView();
+		} else {
+			this.draw();
+		}
+	}
+
+	setEditor(editor) {
+		this.editor = editor;
+		this.draw();
+	}
+
+	setDimension(dimension) {
+		this.dimension = dimension;
+		this.hovered = null;
+		this.fitView();
+	}
+
+	setOverworldScale(enabled) {
+		// Keep the same world position in the center
+		const factor = this.getCoordFactor();
+		const center = { x: this.view.x / factor, z: this.view.z / factor };
+		this.overworldScale = enabled;
+		this.view.x = center.x * this.getCoordFactor();
+		this.view.z = center.z * this.getCoordFactor();
+		this.view.zoom *= factor / this.getCoordFactor();
+		this.draw();
+	}
+
+	// --- Coordinates ---
+
+	getCoordFactor() {
+		return this.overworldScale && this.dimension === Constants.N_DIM ? Constants.N_SCALE : 1;
+	}
+
+	worldToScreen(x, z) {
+		const factor = this.getCoordFactor();
+		return {
+			x: (x * factor - this.view.x) * this.view.zoom + this.canvas.clientWidth / 2,
+			y: (z * factor - this.view.z) * this.view.zoom + this.canvas.clientHeight / 2,
+		};
+	}
+
+	screenToWorld(x, y) {
+		const factor = this.getCoordFactor();
+		return {
+			x: ((x - this.canvas.clientWidth / 2) / this.view.zoom + this.view.x) / factor,
+			z: ((y - this.canvas.clientHeight / 2) / this.view.zoom + this.view.z) / factor,
+		};
+	}
+
+	// Screen rectangle of the blocks from min to max (inclusive), at least minSize pixels wide
+	blockRect(minX, minZ, maxX, maxZ, minSize = 0) {
+		const topLeft = this.worldToScreen(minX, minZ);
+		const bottomRight = this.worldToScreen(maxX + 1, maxZ + 1);
+		const rect = { x: topLeft.x, y: topLeft.y, w: bottomRight.x - topLeft.x, h: bottomRight.y - topLeft.y };
+		if (rect.w < minSize) {
+			rect.x -= (minSize - rect.w) / 2;
+			rect.w = minSize;
+		}
+		if (rect.h < minSize) {
+			rect.y -= (minSize - rect.h) / 2;
+			rect.h = minSize;
+		}
+		return rect;
+	}
+
+	// --- Map contents of the current dimension ---
+
+	getPortals() {
+		const portals = [];
+		if (!this.problem || !this.result || !this.result.solution) return portals;
+		const sortedNames = Object.keys(this.problem.portals).sort();
+		for (const name of sortedNames) {
+			const portal = this.problem.portals[name];
+			if (portal.dim !== this.dimension || !this.result.solution[name]) continue;
+			portals.push({
+				name: name,
+				portal: portal,
+				pos: this.result.solution[name],
+				color: this.getSourceColor(name),
+			});
+		}
+		return portals;
+	}
+
+	getSearches() {
+		if (!this.result || !this.result.actualLinks) return [];
+		return this.result.actualLinks.filter((link) => link.destDim === this.dimension);
+	}
+
+	getGeneratedPortals() {
+		if (!this.result || !this.result.generatedPortals) return [];
+		return this.result.generatedPortals.filter((prediction) => prediction.dim === this.dimension);
+	}
+
+	getSourceColor(name) {
+		const sortedNames = Object.keys(this.problem.portals).sort();
+		return MapColors.palette[sortedNames.indexOf(name) % MapColors.palette.length];
+	}
+
+	// Center and zoom so that all portals, INC boxes and search points of the dimension are visible
+	fitView() {
+		let minX = Infinity;
+		let maxX = -Infinity;
+		let minZ = Infinity;
+		let maxZ = -Infinity;
+		const include = (x, z) => {
+			minX = Math.min(minX, x);
+			maxX = Math.max(maxX, x + 1);
+			minZ = Math.min(minZ, z);
+			maxZ = Math.max(maxZ, z + 1);
+		};
+
+		if (this.problem) {
+			for (const name in this.problem.portals) {
+				const portal = this.problem.portals[name];
+				if (portal.dim !== this.dimension) continue;
+				for (const inc of portal.constraints.inclusive) {
+					include(inc.min.x, inc.min.z);
+					include(inc.max.x, inc.max.z);
+				}
+			}
+		}
+		for (const { pos } of this.getPortals()) include(pos.x, pos.z);
+		for (const search of this.getSearches()) include(search.Bd.x, search.Bd.z);
+
+		if (minX === Infinity) {
+			minX = minZ = -64;
+			maxX = maxZ = 64;
+		}
+		const factor = this.getCoordFactor();
+		const width = Math.max(maxX - minX, 16) * factor;
+		const depth = Math.max(maxZ - minZ, 16) * factor;
+		this.view.x = ((minX + maxX) / 2) * factor;
+		this.view.z = ((minZ + maxZ) / 2) * factor;
+		const zoom = Math.min(this.canvas.clientWidth / width, this.canvas.clientHeight / depth) * 0.9;
+		this.view.zoom = clamp(zoom, 0.005, 200);
+		this.draw();
+	}
+
+	// --- Drawing ---
+
+	draw() {
+		const ctx = this.context;
+		const ratio = window.devicePixelRatio || 1;
+		const width = this.canvas.clientWidth;
+		const height = this.canvas.clientHeight;
+		if (width === 0 || height === 0) return; // Not laid out (hidden)
+		if (this.canvas.width !== width * ratio || this.canvas.height !== height * ratio) {
+			this.canvas.width = width * ratio;
+			this.canvas.height = height * ratio;
+		}
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		ctx.fillStyle = MapColors.background;
+		ctx.fillRect(0, 0, width, height);
+
+		this.drawGrid();
+		if (!this.problem) return;
+
+		this.drawPositionBoxes();
+		this.drawSearches();
+		this.drawGeneratedPortals();
+		this.drawPortals();
+		this.drawLinks();
+		if (this.editor) this.editor.draw(ctx);
+	}
+
+	// Grid lines every power of two blocks that keeps them at least 40 pixels apart
+	drawGrid() {
+		const ctx = this.context;
+		const factor = this.getCoordFactor();
+		let step = 1;
+		while (step * factor * this.view.zoom < 40) step *= 2;
+
+		const topLeft = this.screenToWorld(0, 0);
+		const bottomRight = this.screenToWorld(this.canvas.clientWidth, this.canvas.clientHeight);
+		ctx.strokeStyle = MapColors.grid;
+		ctx.fillStyle = '#999';
+		ctx.font = '10px sans-serif';
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+		for (let x = Math.floor(topLeft.x / step) * step; x <= bottomRight.x; x += step) {
+			const screenX = this.worldToScreen(x, 0).x;
+			ctx.moveTo(screenX, 0);
+			ctx.lineTo(screenX, this.canvas.clientHeight);
+			ctx.fillText(`${x}`, screenX + 2, 10);
+		}
+		for (let z = Math.floor(topLeft.z / step) * step; z <= bottomRight.z; z += step) {
+			const screenY = this.worldToScreen(0, z).y;
+			ctx.moveTo(0, screenY);
+			ctx.lineTo(this.canvas.clientWidth, screenY);
+			ctx.fillText(`${z}`, 2, screenY - 2);
+		}
+		ctx.stroke();
+	}
+
+	// The POS boxes of the shown dimension, limited to the build height like the solver uses them
+	getPositionBoxes() {
+		if (!this.problem) return [];
+		return this.problem.positionConstraints.filter(
+			(constraint) => this.problem.portals[constraint.portalName].dim === this.dimension
+		);
+	}
+
+	drawPositionBoxes() {
+		const ctx = this.context;
+		for (const box of this.getPositionBoxes()) {
+			const inclusive = box.type === 'INC';
+			const rect = this.blockRect(box.min.x, box.min.z, box.max.x, box.max.z, 2);
+			ctx.fillStyle = inclusive ? MapColors.inclusive : MapColors.exclusive;
+			ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+			ctx.strokeStyle = inclusive ? MapColors.inclusiveBorder : MapColors.exclusiveBorder;
+			ctx.lineWidth = 1;
+			ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+		}
+	}
+
+	drawSearches() {
+		const ctx = this.context;
+		for (const search of this.getSearches()) {
+			const color = this.getSourceColor(search.source);
+			const r = search.searchRadius;
+			const rect = this.blockRect(search.Bd.x - r, search.Bd.z - r, search.Bd.x + r, search.Bd.z + r);
+			ctx.strokeStyle = color;
+			ctx.lineWidth = this.isHovered('search', search.source) ? 2.5 : 1;
+			ctx.setLineDash([6, 4]);
+			ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+			ctx.setLineDash([]);
+
+			const point = this.getSearchPoint(search);
+			ctx.fillStyle = color;
+			ctx.beginPath();
+			ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+			ctx.fill();
+		}
+	}
+
+	drawGeneratedPortals() {
+		const ctx = this.context;
+		for (const prediction of this.getGeneratedPortals()) {
+			const rect = this.getPortalRect(prediction.portal, prediction.pos);
+			ctx.strokeStyle = MapColors.generated;
+			ctx.lineWidth = 2;
+			ctx.setLineDash([3, 3]);
+			ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+			ctx.setLineDash([]);
+		}
+	}
+
+	drawPortals() {
+		const ctx = this.context;
+		ctx.font = '12px sans-serif';
+		for (const { name, portal, pos, color } of this.getPortals()) {
+			const rect = this.getPortalRect(portal, pos);
+			ctx.fillStyle = portal.foreign ? MapColors.foreign : portal.fixed ? MapColors.fixed : color;
+			ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+			if (this.isHovered('portal', name)) {
+				ctx.strokeStyle = '#000';
+				ctx.lineWidth = 2;
+				ctx.strokeRect(rect.x - 2, rect.y - 2, rect.w + 4, rect.h + 4);
+			}
+			ctx.fillStyle = '#000';
+			ctx.fillText(name, rect.x + rect.w + 4, rect.y + rect.h / 2 + 4);
+		}
+	}
+
+	// Actual links are solid (green if desired, red if not), desired links that aren't taken are dashed
+	drawLinks() {
+		const portals = this.getPortals();
+		const portalRects = {};
+		for (const { name, portal, pos } of portals) portalRects[name] = this.getPortalRect(portal, pos);
+
+		for (const search of this.getSearches()) {
+			const start = this.getSearchPoint(search);
+			const desired = this.problem.desiredLinks
+				.filter((link) => link.source === search.source)
+				.map((link) => link.dest);
+			const highlight = this.isHovered('search', search.source) || this.isHovered('portal', search.source);
+
+			for (const dest of search.dests) {
+				if (!dest || !portalRects[dest]) continue;
+				const color = desired.includes(dest) ? MapColors.actualOk : MapColors.actualWrong;
+				this.drawArrow(start, this.rectCenter(portalRects[dest]), color, false, highlight);
+			}
+			for (const dest of desired) {
+				if (search.dests.includes(dest) || !portalRects[dest]) continue;
+				this.drawArrow(start, this.rectCenter(portalRects[dest]), MapColors.desired, true, highlight);
+			}
+		}
+	}
+
+	drawArrow(from, to, color, dashed, highlight) {
+		const ctx = this.context;
+		const angle = Math.atan2(to.y - from.y, to.x - from.x);
+		const headSize = 8;
+		ctx.strokeStyle = color;
+		ctx.fillStyle = color;
+		ctx.lineWidth = highlight ? 3 : 1.5;
+		if (dashed) ctx.setLineDash([5, 4]);
+		ctx.beginPath();
+		ctx.moveTo(from.x, from.y);
+		ctx.lineTo(to.x, to.y);
+		ctx.stroke();
+		ctx.setLineDash([]);
+		ctx.beginPath();
+		ctx.moveTo(to.x, to.y);
+		ctx.lineTo(to.x - headSize * Math.cos(angle - 0.4), to.y - headSize * Math.sin(angle - 0.4));
+		ctx.lineTo(to.x - headSize * Math.cos(angle + 0.4), to.y - headSize * Math.sin(angle + 0.4));
+		ctx.closePath();
+		ctx.fill();
+	}
+
+	getPortalRect(portal, pos) {
+		const extent = getPortalExtent(portal);
+		return this.blockRect(pos.x, pos.z, pos.x + extent.x, pos.z + extent.z, 6);
+	}
+
+	getSearchPoint(search) {
+		return this.worldToScreen(search.Bd.x + 0.5, search.Bd.z + 0.5);
+	}
+
+	rectCenter(rect) {
+		return { x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 };
+	}
+
+	// --- Interaction ---
+
+	isHovered(type, name) {
+		return this.hovered !== null && this.hovered.type === type && this.hovered.names.includes(name);
+	}
+
+	getMousePos(event) {
+		const bounds = this.canvas.getBoundingClientRect();
+		return { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+	}
+
+	onWheel(event) {
+		event.preventDefault();
+		const { x: mouseX, y: mouseY } = this.getMousePos(event);
+		// Zoom around the cursor: keep the display coordinate under it in place
+		const before = this.screenToWorld(mouseX, mouseY);
+		this.view.zoom = clamp(this.view.zoom * (event.deltaY < 0 ? 1.2 : 1 / 1.2), 0.005, 200);
+		const after = this.screenToWorld(mouseX, mouseY);
+		const factor = this.getCoordFactor();
+		this.view.x += (before.x - after.x) * factor;
+		this.view.z += (before.z - after.z) * factor;
+		this.draw();
+	}
+
+	onMouseDown(event) {
+		if (this.editor && this.editor.onMouseDown(event, this.getMousePos(event))) return;
+		this.drag = { x: event.clientX, y: event.clientY };
+		this.canvas.classList.add('dragging');
+	}
+
+	onMouseUp(event) {
+		if (this.editor) this.editor.onMouseUp(event, this.getMousePos(event));
+		this.drag = null;
+		this.canvas.classList.remove('dragging');
+	}
+
+	onMouseMove(event) {
+		if (this.editor && this.editor.onMouseMove(event, this.getMousePos(event))) return;
+		if (this.drag) {
+			this.view.x -= (event.clientX - this.drag.x) / this.view.zoom;
+			this.view.z -= (event.clientY - this.drag.y) / this.view.zoom;
+			this.drag = { x: event.clientX, y: event.clientY };
+			this.draw();
+			return;
+		}
+
+		const { x: mouseX, y: mouseY } = this.getMousePos(event);
+		this.setHovered(this.findItemAt(mouseX, mouseY), this.screenToWorld(mouseX, mouseY));
+	}
+
+	describePortal(name, search, describeDests) {
+		const portal = this.problem.portals[name];
+		const pos = this.result.solution[name];
+		const kind = portal.foreign ? ', foreign' : portal.fixed ? ', fixed' : '';
+		const size = portal.width > 1 || portal.height > 1 ? `, ${portal.width}x${portal.height}` : '';
+		const desired = this.problem.desiredLinks.filter((link) => link.source === name);
+		let text = `${name} (${portal.dim}, Face ${portal.face}${size}${kind}) at (${pos.x}, ${pos.y}, ${pos.z})`;
+		text += `\nDesired: ${desired.length > 0 ? desired.map((link) => link.dest).join(', ') : 'none'}`;
+		if (search) text += `\nActually leads to: ${describeDests(search.dests)}`;
+		text += `\nPOS boxes: ${portal.constraints.inclusive.length} INC, ${portal.constraints.exclusive.length} EXC`;
+		return text;
+	}
+
+	// Portals first (all of them, portals at different Y can overlap), then search points and generated portals
+	findItemAt(x, y) {
+		if (!this.problem) return null;
+		const inside = (rect) =>
+			x >= rect.x - 2 && x <= rect.x + rect.w + 2 && y >= rect.y - 2 && y <= rect.y + rect.h + 2;
+
+		const portalNames = this.getPortals()
+			.filter(({ portal, pos }) => inside(this.getPortalRect(portal, pos)))
+			.map(({ name }) => name);
+		if (portalNames.length > 0) return { type: 'portal', names: portalNames };
+
+		for (const search of this.getSearches()) {
+			const point = this.getSearchPoint(search);
+			if (Math.hypot(point.x - x, point.y - y) <= 6) return { type: 'search', names: [search.source] };
+		}
+		for (const prediction of this.getGeneratedPortals()) {
+			if (inside(this.getPortalRect(prediction.portal, prediction.pos))) {
+				return { type: 'generated', names: [prediction.source] };
+			}
+		}
+		return null;
+	}
+
+	setHovered(item, worldPos) {
+		const changed =
+			(item === null) !== (this.hovered === null) ||
+			(item !== null && (item.type !== this.hovered.type || item.names.join() !== this.hovered.names.join()));
+		this.hovered = item;
+		this.infoElement.textContent = this.describe(item, worldPos);
+		if (changed) this.draw();
+	}
+
+	describe(item, worldPos) {
+		const dimName = this.dimension === Constants.N_DIM ? 'Nether' : 'Overworld';
+		const cursor = worldPos ? `${dimName} x ${Math.floor(worldPos.x)}, z ${Math.floor(worldPos.z)}` : '';
+		if (!item) return cursor || 'Hover over a portal or search point for details.';
+
+		const describeDests = (dests) => dests.map((dest) => dest || 'a new portal').join(', ');
+		const findSearch = (name) => this.result.actualLinks.find((link) => link.source === name);
+
+		if (item.type === 'portal') {
+			return item.names.map((name) => this.describePortal(name, findSearch(name), describeDests)).join('\n\n');
+		}
+
+		const name = item.names[0];
+		if (item.type === 'search') {
+			const search = findSearch(name);
+			const Bd = search.Bd;
+			let text = `Search from ${name}: Bd (${Bd.x}, ${Bd.y}, ${Bd.z}), radius ${search.searchRadius}`;
+			text += `\nFinds: ${describeDests(search.dests)}`;
+			return text;
+		}
+
+		const prediction = this.result.generatedPortals.find((generated) => generated.source === name);
+		const pos = prediction.pos;
+		return `Portal generated by ${name} (forced position (${pos.x}, ${pos.y}, ${pos.z}))\nReturn trip leads to ${
+			prediction.returnDest || 'a new portal'
+		}`;
+	}
+}
@@ -0,0 +1,254 @@
+// js/nbt.js
+
+// Minimal reader and writer for Minecraft's NBT format (big endian, Java Edition), used by the structure
+// exports and the world import. Values to write are built with the Nbt helpers so every tag carries its type, e.g.
+//   Nbt.compound({ DataVersion: Nbt.int(2586), size: Nbt.list(NbtTag.INT, [Nbt.int(1), Nbt.int(2), Nbt.int(3)]) })
+// Read values are plain: compounds are objects, lists arrays and numbers numbers. Longs are BigInts.
+
+const NbtTag = {
+	END: 0,
+	BYTE: 1,
+	SHORT: 2,
+	INT: 3,
+	LONG: 4,
+	FLOAT: 5,
+	DOUBLE: 6,
+	BYTE_ARRAY: 7,
+	STRING: 8,
+	LIST: 9,
+	COMPOUND: 10,
+	INT_ARRAY: 11,
+	LONG_ARRAY: 12,
+};
+
+const Nbt = {
+	byte: (value) => ({ type: NbtTag.BYTE, value }),
+	short: (value) => ({ type: NbtTag.SHORT, value }),
+	int: (value) => ({ type: NbtTag.INT, value }),
+	long: (value) => ({ type: NbtTag.LONG, value: BigInt(value) }),
+	float: (value) => ({ type: NbtTag.FLOAT, value }),
+	double: (value) => ({ type: NbtTag.DOUBLE, value }),
+	string: (value) => ({ type: NbtTag.STRING, value }),
+	// Empty lists are written with the END element type, like the game does
+	list: (elementType, items) => ({
+		type: NbtTag.LIST,
+		elementType: items.length > 0 ? elementType : NbtTag.END,
+		value: items,
+	}),
+	compound: (entries) => ({ type: NbtTag.COMPOUND, value: entries }),
+	intArray: (values) => ({ type: NbtTag.INT_ARRAY, value: values }),
+	longArray: (values) => ({ type: NbtTag.LONG_ARRAY, value: values }),
+};
+
+class NbtWriter {
+	constructor() {
+		this.buffer = new Uint8Array(1024);
+		this.view = new DataView(this.buffer.buffer);
+		this.length = 0;
+	}
+
+	reserve(size) {
+		if (this.length + size <= this.buffer.length) return;
+		const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + size));
+		grown.set(this.buffer);
+		this.buffer = grown;
+		this.view = new DataView(grown.buffer);
+	}
+
+	writeByte(value) {
+		this.reserve(1);
+		this.view.setInt8(this.length, value);
+		this.length += 1;
+	}
+
+	writeShort(value) {
+		this.reserve(2);
+		this.view.setInt16(this.length, value);
+		this.length += 2;
+	}
+
+	writeInt(value) {
+		this.reserve(4);
+		this.view.setInt32(this.length, value);
+		this.length += 4;
+	}
+
+	writeLong(value) {
+		this.reserve(8);
+		this.view.setBigInt64(this.length, BigInt.asIntN(64, value));
+		this.length += 8;
+	}
+
+	// Java's modified UTF-8 only differs for NUL and characters outside the BMP, which names here don't use
+	writeString(value) {
+		const bytes = new TextEncoder().encode(value);
+		this.writeShort(bytes.length);
+		this.reserve(bytes.length);
+		this.buffer.set(bytes, this.length);
+		this.length += bytes.length;
+	}
+
+	writePayload(tag) {
+		switch (tag.type) {
+			case NbtTag.BYTE:
+				this.writeByte(tag.value);
+				break;
+			case NbtTag.SHORT:
+				this.writeShort(tag.value);
+				break;
+			case NbtTag.INT:
+				this.writeInt(tag.value);
+				break;
+			case NbtTag.LONG:
+				this.writeLong(tag.value);
+				break;
+			case NbtTag.FLOAT:
+				this.reserve(4);
+				this.view.setFloat32(this.length, tag.value);
+				this.length += 4;
+				break;
+			case NbtTag.DOUBLE:
+				this.reserve(8);
+				this.view.setFloat64(this.length, tag.value);
+				this.length += 8;
+				break;
+			case NbtTag.BYTE_ARRAY:
+				this.writeInt(tag.value.length);
+				for (const value of tag.value) this.writeByte(value);
+				break;
+			case NbtTag.STRING:
+				this.writeString(tag.value);
+				break;
+			case NbtTag.LIST:
+				this.writeByte(tag.elementType);
+				this.writeInt(tag.value.length);
+				for (const item of tag.value) {
+					if (item.type !== tag.elementType) throw new Error('NBT list items must all have the list type');
+					this.writePayload(item);
+				}
+				break;
+			case NbtTag.COMPOUND:
+				for (const [name, child] of Object.entries(tag.value)) {
+					this.writeByte(child.type);
+					this.writeString(name);
+					this.writePayload(child);
+				}
+				this.writeByte(NbtTag.END);
+				break;
+			case NbtTag.INT_ARRAY:
+				this.writeInt(tag.value.length);
+				for (const value of tag.value) this.writeInt(value);
+				break;
+			case NbtTag.LONG_ARRAY:
+				this.writeInt(tag.value.length);
+				for (const value of tag.value) this.writeLong(value);
+				break;
+			default:
+				throw new Error(`Unknown NBT tag type ${tag.type}`);
+		}
+	}
+}
+
+class NbtReader {
+	constructor(bytes) {
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		this.offset = 0;
+	}
+
+	// Advances past a value of the given size, throws if the data ends before it
+	take(size) {
+		const offset = this.offset;
+		if (offset + size > this.bytes.length) throw new Error('Unexpected end of NBT data');
+		this.offset += size;
+		return offset;
+	}
+
+	readByte() {
+		return this.view.getInt8(this.take(1));
+	}
+
+	readInt() {
+		return this.view.getInt32(this.take(4));
+	}
+
+	readString() {
+		const length = this.view.getUint16(this.take(2));
+		const start = this.take(length);
+		return new TextDecoder().decode(this.bytes.subarray(start, start + length));
+	}
+
+	readArray(ArrayType, readElement) {
+		const length = this.readInt();
+		const values = new ArrayType(length);
+		for (let i = 0; i < length; i++) values[i] = readElement();
+		return values;
+	}
+
+	readPayload(type) {
+		switch (type) {
+			case NbtTag.BYTE:
+				return this.readByte();
+			case NbtTag.SHORT:
+				return this.view.getInt16(this.take(2));
+			case NbtTag.INT:
+				return this.readInt();
+			case NbtTag.LONG:
+				return this.view.getBigInt64(this.take(8));
+			case NbtTag.FLOAT:
+				return this.view.getFloat32(this.take(4));
+			case NbtTag.DOUBLE:
+				return this.view.getFloat64(this.take(8));
+			case NbtTag.BYTE_ARRAY:
+				return this.readArray(Int8Array, () => this.readByte());
+			case NbtTag.STRING:
+				return this.readString();
+			case NbtTag.LIST: {
+				const elementType = this.readByte();
+				return this.readArray(Array, () => this.readPayload(elementType));
+			}
+			case NbtTag.COMPOUND: {
+				const entries = {};
+				for (let childType = this.readByte(); childType !== NbtTag.END; childType = this.readByte()) {
+					const name = this.readString();
+					entries[name] = this.readPayload(childType);
+				}
+				return entries;
+			}
+			case NbtTag.INT_ARRAY:
+				return this.readArray(Int32Array, () => this.readInt());
+			case NbtTag.LONG_ARRAY:
+				return this.readArray(BigInt64Array, () => this.view.getBigInt64(this.take(8)));
+			default:
+				throw new Error(`Unknown NBT tag type ${type}`);
+		}
+	}
+}
+
+// Reads uncompressed NBT with a root compound, returns { name, value }
+function readNbt(bytes) {
+	const reader = new NbtReader(bytes);
+	const type = reader.readByte();
+	if (type !== NbtTag.COMPOUND) throw new Error('NBT data does not start with a compound');
+	const name = reader.readString();
+	return { name, value: reader.readPayload(type) };
+}
+
+// Uncompressed NBT of a named root compound
+function writeNbt(root, rootName = '') {
+	const writer = new NbtWriter();
+	writer.writeByte(NbtTag.COMPOUND);
+	writer.writeString(rootName);
+	writer.writePayload(root);
+	return writer.buffer.slice(0, writer.length);
+}
+
+// Structure and schematic files are gzip compressed NBT
+async function writeGzippedNbt(root, rootName = '') {
+	const stream = new Blob([writeNbt(root, rootName)]).stream().pipeThrough(new CompressionStream('gzip'));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { NbtTag, Nbt, readNbt, writeNbt, writeGzippedNbt };
+}
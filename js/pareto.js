@@ -0,0 +1,72 @@
+// js/pareto.js
+
+// Archive of non-dominated layouts for solving with several OPTIMIZE goals. Every goal is an objective to
+// minimize, a layout dominates another if it is no worse on every objective and better on at least one.
+// The archive keeps the best trade-offs seen during the search instead of only the best weighted sum.
+
+class ParetoArchive {
+	constructor(maxSize) {
+		this.maxSize = maxSize;
+		this.entries = []; // { state, objectives, cost }
+	}
+
+	static dominates(a, b) {
+		let better = false;
+		for (let i = 0; i < a.length; i++) {
+			if (a[i] > b[i]) return false;
+			if (a[i] < b[i]) better = true;
+		}
+		return better;
+	}
+
+	// Adds a feasible layout unless an archived one dominates it or has the same objectives.
+	// Layouts it dominates are dropped. The state is stored as is, it must not be modified afterwards.
+	// Returns whether the layout was added.
+	offer(state, objectives, cost) {
+		for (const entry of this.entries) {
+			if (ParetoArchive.dominates(entry.objectives, objectives)) return false;
+			if (entry.objectives.every((value, i) => value === objectives[i])) return false;
+		}
+		this.entries = this.entries.filter((entry) => !ParetoArchive.dominates(objectives, entry.objectives));
+		this.entries.push({ state, objectives: [...objectives], cost });
+		if (this.entries.length > this.maxSize) this.removeMostCrowded();
+		return true;
+	}
+
+	// Keeps the archive spread out: drops the entry closest to another one, with every objective scaled to
+	// the archive's range. The entry with the lowest weighted cost (the solver's answer) is always kept.
+	removeMostCrowded() {
+		const count = this.entries[0].objectives.length;
+		const ranges = [];
+		for (let i = 0; i < count; i++) {
+			const values = this.entries.map((entry) => entry.objectives[i]);
+			ranges.push(Math.max(...values) - Math.min(...values) || 1);
+		}
+		const distance = (a, b) => Math.hypot(...a.objectives.map((value, i) => (value - b.objectives[i]) / ranges[i]));
+
+		const best = this.entries.reduce((min, entry) => (entry.cost < min.cost ? entry : min));
+		let crowded = null;
+		let minDistance = Infinity;
+		for (const entry of this.entries) {
+			if (entry === best) continue;
+			for (const other of this.entries) {
+				if (other === entry) continue;
+				const d = distance(entry, other);
+				if (d < minDistance) {
+					minDistance = d;
+					crowded = entry;
+				}
+			}
+		}
+		this.entries = this.entries.filter((entry) => entry !== crowded);
+	}
+
+	// Entries by weighted cost, best first
+	sorted() {
+		return [...this.entries].sort((a, b) => a.cost - b.cost);
+	}
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { ParetoArchive };
+}
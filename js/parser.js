@@ -1,19 +1,336 @@
 // js/parser.js
 
-function parseProblem(inputText) {
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(globalThis, require('./utils.js'), require('./linking-models.js'));
+}
+
+// Commands of the input format with the token positions that name portals, for completion in the input editor
+const INPUT_COMMANDS = {
+	ENTITY_SIZE: [],
+	ENTITY: [],
+	SEED: [],
+	VERSION: [],
+	WORLD_HEIGHT: [],
+	ALLOW_NETHER_ROOF: [],
+	PORTAL: [],
+	FIXED: [],
+	FOREIGN: [],
+	POS: [1],
+	NEAR: [1, 2],
+	FAR: [1, 2],
+	SAME_Y: [1, 2],
+	OFFSET: [1, 2],
+	LINK: [1, 2],
+	NOLINK: [1, 2],
+	OPTIMIZE: [1, 2],
+	OPTIMIZE_MARGIN: [],
+	OPTIMIZE_POS: [1],
+	VAR: [],
+	REGION: [],
+	INCLUDE: [],
+};
+
+// Errors of an input line can point at the tokens they are about (0-based, the command is token 0),
+// for the diagnostics shown in the input editor. Errors without tokens mark the whole line.
+function inputError(message, firstToken = null, lastToken = firstToken) {
+	const error = new Error(message);
+	error.tokens = firstToken === null ? null : [firstToken, lastToken];
+	return error;
+}
+
+// Words of an input line with their columns: [{ text, start, end }], end exclusive
+function tokenizeLine(line) {
+	const tokens = [];
+	for (const match of line.matchAll(/\S+/g)) {
+		tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+	}
+	return tokens;
+}
+
+// Coordinates can be arithmetic expressions of numbers and VAR variables without spaces, like base+16 or
+// (x-8)*2. Returns the value of a coordinate token, throws if it isn't a valid expression.
+function evaluateExpression(text, variables) {
+	if (!isNaN(Number(text))) return Number(text);
+
+	const tokens = text.match(/\d+(?:\.\d+)?|[A-Za-z_]\w*|\S/g);
+	let index = 0;
+	const fail = () => {
+		throw new Error(`Invalid expression '${text}'`);
+	};
+	const parseSum = () => {
+		let value = parseProduct();
+		while (tokens[index] === '+' || tokens[index] === '-') {
+			value = tokens[index++] === '+' ? value + parseProduct() : value - parseProduct();
+		}
+		return value;
+	};
+	const parseProduct = () => {
+		let value = parseFactor();
+		while (tokens[index] === '*' || tokens[index] === '/') {
+			value = tokens[index++] === '*' ? value * parseFactor() : value / parseFactor();
+		}
+		return value;
+	};
+	const parseFactor = () => {
+		const token = tokens[index++];
+		if (token === '-') return -parseFactor();
+		if (token === '(') {
+			const value = parseSum();
+			if (tokens[index++] !== ')') fail();
+			return value;
+		}
+		if (token !== undefined && /^\d/.test(token)) return Number(token);
+		if (token !== undefined && /^[A-Za-z_]/.test(token)) {
+			if (!(token in variables)) {
+				throw new Error(`Unknown variable '${token}'${token === text ? '' : ` in '${text}'`}`);
+			}
+			return variables[token];
+		}
+		return fail();
+	};
+
+	const value = parseSum();
+	if (index !== tokens.length) fail();
+	if (!Number.isFinite(value)) throw new Error(`Expression '${text}' has no finite value`);
+	return value;
+}
+
+// Coordinate tokens starting at token firstToken, errors point at the token that can't be evaluated
+function parseCoordinates(parts, firstToken, variables) {
+	return parts.map((text, i) => {
+		try {
+			return evaluateExpression(text, variables);
+		} catch (error) {
+			throw inputError(error.message, firstToken + i);
+		}
+	});
+}
+
+// Coordinate tokens that are plain numbers, not expressions
+function isNumberLiteral(text) {
+	return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text);
+}
+
+// Box of six coordinate tokens (min x y z, max x y z) starting at token firstToken, as { min, max }
+function parseBox(parts, variables, description, firstToken = 3) {
+	const coords = parseCoordinates(parts, firstToken, variables);
+	const min = vec3(coords[0], coords[1], coords[2]);
+	const max = vec3(coords[3], coords[4], coords[5]);
+	['x', 'y', 'z'].forEach((axis, a) => {
+		if (min[axis] > max[axis]) {
+			throw inputError(
+				`Min coordinates must be <= Max coordinates in ${description} (${axis} ${min[axis]} > ${max[axis]})`,
+				firstToken + a // The min coordinate
+			);
+		}
+	});
+	return { min, max };
+}
+
+// Replaces INCLUDE lines by the lines of the included fragment, which may include others in turn.
+// Returns the lines as { text, line, include }: line is the line of the input the text comes from (the
+// INCLUDE line for fragment lines) and include is { name, line } of the fragment line, or null.
+// INCLUDE lines are kept in front of their fragment, with includeError if it couldn't be included.
+function expandIncludes(inputText, resolveInclude, include = null, names = []) {
+	const entries = [];
+	inputText.split('\n').forEach((text, i) => {
+		const entry = include
+			? { text, line: include.line, include: { name: include.name, line: i + 1 } }
+			: { text, line: i + 1, include: null };
+		entries.push(entry);
+
+		const parts = text.trim().split(/\s+/);
+		if (parts[0].toUpperCase() !== 'INCLUDE') return;
+		try {
+			if (parts.length !== 2) throw inputError(`Invalid INCLUDE format`);
+			const name = parts[1];
+			if (!resolveInclude) throw inputError(`INCLUDE is not available here`);
+			if (names.includes(name)) throw inputError(`INCLUDE cycle: ${[...names, name].join(' -> ')}`, 1);
+			let fragment;
+			try {
+				fragment = resolveInclude(name);
+			} catch (error) {
+				throw inputError(error.message, 1);
+			}
+			entries.push(...expandIncludes(fragment, resolveInclude, { name, line: entry.line }, [...names, name]));
+		} catch (error) {
+			entry.includeError = error;
+		}
+	});
+	return entries;
+}
+
+// Input text with every INCLUDE line replaced by its fragment, for sharing a problem without the fragments.
+// INCLUDE lines that fail are kept.
+function inlineIncludes(inputText, resolveInclude) {
+	return expandIncludes(inputText, resolveInclude)
+		.filter((entry) => entry.includeError || entry.text.trim().split(/\s+/)[0].toUpperCase() !== 'INCLUDE')
+		.map((entry) => entry.text)
+		.join('\n');
+}
+
+// Optional inner portal size. Without one the portal is modelled as a single block.
+// firstToken is the token index of the width, for diagnostics.
+function parsePortalSize(sizeParts, portalName, firstToken) {
+	if (sizeParts.length === 0) return { width: 1, height: 1 };
+
+	const [width, height] = sizeParts.map(Number);
+	if (
+		!Number.isInteger(width) ||
+		width < Constants.MIN_PORTAL_WIDTH ||
+		width > Constants.MAX_PORTAL_WIDTH ||
+		!Number.isInteger(height) ||
+		height < Constants.MIN_PORTAL_HEIGHT ||
+		height > Constants.MAX_PORTAL_HEIGHT
+	) {
+		const minSize = `${Constants.MIN_PORTAL_WIDTH}x${Constants.MIN_PORTAL_HEIGHT}`;
+		const maxSize = `${Constants.MAX_PORTAL_WIDTH}x${Constants.MAX_PORTAL_HEIGHT}`;
+		throw inputError(
+			`Invalid size ${sizeParts.join('x')} for portal ${portalName} (${minSize} up to ${maxSize})`,
+			firstToken,
+			firstToken + 1
+		);
+	}
+	return { width, height };
+}
+
+// Portal pair of a relative constraint line (NEAR, FAR, SAME_Y, OFFSET): tokens 1 and 2
+function parseRelativePortals(parts, problem, command) {
+	const [, p1, p2] = parts;
+	if (!(p1 in problem.portals)) throw inputError(`Unknown portal '${p1}' in ${command}`, 1);
+	if (!(p2 in problem.portals)) throw inputError(`Unknown portal '${p2}' in ${command}`, 2);
+	if (p1 === p2) throw inputError(`${command} needs two different portals`, 1, 2);
+	return [p1, p2];
+}
+
+// Optional entity profile list of a LINK or NOLINK. Without one the link is checked for ENTITY_SIZE only.
+// The profiles start at token 3 of the line.
+function parseLinkProfiles(profileNames, problem, command) {
+	if (profileNames.length === 0) return [Constants.DEFAULT_ENTITY_PROFILE];
+
+	profileNames.forEach((profileName, i) => {
+		if (profileName !== Constants.DEFAULT_ENTITY_PROFILE && !(profileName in problem.entityProfiles)) {
+			throw inputError(`Unknown entity profile '${profileName}' in ${command}`, 3 + i);
+		}
+	});
+	return [...new Set(profileNames)];
+}
+
+function formatYRanges(ranges) {
+	return ranges.map((range) => `${range.minY} to ${range.maxY}`).join(' or ');
+}
+
+// Limit the POS INC boxes of a portal (in the portal and in problem.positionConstraints) to the Y ranges
+// where it can be built. Returns the issues found as
+// [{ severity, message, constraint }]: a warning for every box that was cut down or dropped, or an error for
+// every box if none is left. constraint is the POS box the issue is about, null for the FIXED or FOREIGN line.
+function limitToBuildHeight(problem, portal) {
+	const yRanges = getPortalYRanges(problem, portal);
+	const roofHint =
+		portal.dim === Constants.N_DIM && !problem.allowNetherRoof
+			? ` Positions above the Nether roof need ALLOW_NETHER_ROOF.`
+			: '';
+	const heightText = `the build height of dimension ${portal.dim} (y ${formatYRanges(yRanges)}).${roofHint}`;
+
+	if (portal.fixed) {
+		if (!yRanges.some((range) => portal.pos.y >= range.minY && portal.pos.y <= range.maxY)) {
+			const message = `Portal ${portal.name} at y=${portal.pos.y} is outside ${heightText}`;
+			return [{ severity: 'error', message, constraint: null }];
+		}
+		return [];
+	}
+
+	const limited = [];
+	const changed = [];
+	const partsOf = new Map(); // Limited boxes of every written box
+	for (const inc of portal.constraints.inclusive) {
+		const parts = [];
+		for (const range of yRanges) {
+			const minY = Math.max(inc.min.y, range.minY);
+			const maxY = Math.min(inc.max.y, range.maxY);
+			if (minY > maxY) continue;
+			parts.push({ ...inc, min: vec3(inc.min.x, minY, inc.min.z), max: vec3(inc.max.x, maxY, inc.max.z) });
+		}
+		// A box cut in two by a gap in the build height can't be rewritten as one line by the map editor
+		if (parts.length > 1) parts.forEach((part) => (part.split = true));
+		if (parts.length !== 1 || parts[0].min.y !== inc.min.y || parts[0].max.y !== inc.max.y) changed.push(inc);
+		partsOf.set(inc, parts);
+		limited.push(...parts);
+	}
+	if (limited.length === 0) {
+		const message = `POS INC boxes of portal ${portal.name} are outside ${heightText}`;
+		return portal.constraints.inclusive.map((inc) => ({ severity: 'error', message, constraint: inc }));
+	}
+
+	// The map, its editor and the JSON export read positionConstraints, they show the boxes the solver uses
+	portal.constraints.inclusive = limited;
+	problem.positionConstraints = problem.positionConstraints.flatMap((box) => partsOf.get(box) || [box]);
+	return changed.map((inc) => ({
+		severity: 'warning',
+		message: `POS INC box of portal ${portal.name} was limited to ${heightText}`,
+		constraint: inc,
+	}));
+}
+
+// Parses the problem input and collects every error and warning instead of stopping at the first one.
+// Returns { problem, diagnostics } with diagnostics as { severity: 'error' | 'warning', message, line,
+// startColumn, endColumn }: 1-based line, 0-based columns with the end exclusive. Lines with errors are
+// left out of the problem, so it is only complete if there are no errors.
+// options.allowMissingPositions accepts portals without POS INC boxes (for the map editor, which can
+// show the problem before the first box of a new portal is drawn). Such a problem can't be solved.
+// options.resolveInclude(name) returns the text of an INCLUDE fragment and throws if there is none.
+// Diagnostics of fragment lines are reported on the INCLUDE line.
+function parseProblemDiagnostics(inputText, options = {}) {
 	const lines = inputText.split('\n');
 	const problem = {
 		entitySize: 1.0, // Default
+		entityProfiles: {}, // Named ENTITY profiles, LINK lines list the ones they must work for
+		seed: null, // Random unless set with SEED
+		version: DEFAULT_LINKING_MODEL, // Linking model id, see linking-models.js
+		worldHeight: {}, // WORLD_HEIGHT overrides of the version's build height, by dimension
+		allowNetherRoof: false, // Whether portals may be placed above the Nether's bedrock ceiling
+		warnings: [], // Problems in the input that don't prevent solving
 		portals: {},
 		positionConstraints: [],
+		relativeConstraints: [], // NEAR, FAR, SAME_Y and OFFSET between two portals
 		desiredLinks: [],
+		forbiddenLinks: [],
+		newPortalLinks: [], // LINK <source> NEW
 		optimizationPairs: [],
+		marginWeight: 0, // OPTIMIZE_MARGIN weight, 0 leaves link safety margins out of the cost
+	};
+	const diagnostics = [];
+
+	// Diagnostic for tokens [first, last] of an input line, or for the whole line. Fragment lines mark
+	// their INCLUDE line and name the fragment line in the message.
+	const addDiagnostic = (severity, message, entry, tokenRange = null) => {
+		if (entry.include) {
+			message = `In INCLUDE ${entry.include.name} line ${entry.include.line}: ${message}`;
+			tokenRange = null;
+		}
+		const lineNumber = entry.line;
+		const tokens = tokenizeLine(lines[lineNumber - 1]);
+		const first = tokens[tokenRange ? Math.min(tokenRange[0], tokens.length - 1) : 0];
+		const last = tokens[tokenRange ? Math.min(tokenRange[1], tokens.length - 1) : tokens.length - 1];
+		diagnostics.push({
+			severity: severity,
+			message: message,
+			line: lineNumber,
+			startColumn: first ? first.start : 0,
+			endColumn: last ? last.end : 0,
+		});
+		if (severity === 'warning') problem.warnings.push(message);
 	};
 
 	const portalNames = new Set();
+	const portalEntries = {}; // Input line entry of every portal, for the final validation
+	const posEntries = new Map(); // Input line entry of every POS box, for the final validation
+	const variables = {}; // VAR values
+	const regions = {}; // REGION boxes { min, max }
 
-	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i].trim();
+	for (const entry of expandIncludes(inputText, options.resolveInclude)) {
+		const line = entry.text.trim();
 		if (line.startsWith('#') || line === '') continue;
 
 		const parts = line.split(/\s+/);
@@ -23,51 +340,178 @@ function parseProblem(inputText) {
 			switch (command) {
 				case 'ENTITY_SIZE':
 					if (parts.length !== 2 || isNaN(parseFloat(parts[1]))) {
-						throw new Error(`Invalid ENTITY_SIZE format`);
+						throw inputError(`Invalid ENTITY_SIZE format`);
+					}
+					if (parseFloat(parts[1]) <= 0) {
+						throw inputError(`ENTITY_SIZE must be positive`, 1);
 					}
 					problem.entitySize = parseFloat(parts[1]);
-					if (problem.entitySize <= 0) {
-						throw new Error(`ENTITY_SIZE must be positive`);
+					break;
+
+				case 'ENTITY':
+					if (parts.length !== 3 && parts.length !== 4) throw inputError(`Invalid ENTITY format`);
+					const profileName = parts[1];
+					const profileWidth = parseFloat(parts[2]);
+					const profileOffsetY = parts.length === 4 ? parseFloat(parts[3]) : 0;
+					if (profileName === Constants.DEFAULT_ENTITY_PROFILE || profileName in problem.entityProfiles) {
+						throw inputError(`Duplicate entity profile name: ${profileName}`, 1);
+					}
+					if (isNaN(profileWidth) || profileWidth <= 0) {
+						throw inputError(`Width of entity profile ${profileName} must be positive`, 2);
 					}
+					if (isNaN(profileOffsetY)) throw inputError(`Invalid offset for entity profile ${profileName}`, 3);
+					problem.entityProfiles[profileName] = {
+						name: profileName,
+						width: profileWidth,
+						offsetY: profileOffsetY, // Added to the entity Y, e.g. the riding height in a minecart
+					};
+					break;
+
+				case 'SEED':
+					if (parts.length !== 2) throw inputError(`Invalid SEED format`);
+					const seed = parseSeed(parts[1]);
+					if (seed === null) {
+						throw inputError(`SEED must be an integer between 0 and 4294967295`, 1);
+					}
+					problem.seed = seed;
+					break;
+
+				case 'VERSION':
+					if (parts.length !== 2) throw inputError(`Invalid VERSION format`);
+					const model = getLinkingModel(parts[1]);
+					if (!model) {
+						throw inputError(
+							`Unknown VERSION '${parts[1]}' (expected one of ${Object.keys(LinkingModels).join(', ')})`,
+							1
+						);
+					}
+					problem.version = model.id;
+					break;
+
+				case 'WORLD_HEIGHT':
+					if (parts.length !== 4) throw inputError(`Invalid WORLD_HEIGHT format`);
+					const heightDim = parts[1];
+					const [minY, maxY] = parts.slice(2).map(Number);
+					if (heightDim !== Constants.O_DIM && heightDim !== Constants.N_DIM)
+						throw inputError(`Invalid dimension '${heightDim}' in WORLD_HEIGHT`, 1);
+					if (!Number.isInteger(minY) || !Number.isInteger(maxY) || minY >= maxY) {
+						throw inputError(`WORLD_HEIGHT needs integer bounds with min < max`, 2, 3);
+					}
+					problem.worldHeight[heightDim] = { minY, maxY };
+					break;
+
+				case 'ALLOW_NETHER_ROOF':
+					if (parts.length !== 1) throw inputError(`Invalid ALLOW_NETHER_ROOF format`);
+					problem.allowNetherRoof = true;
 					break;
 
 				case 'PORTAL':
-					if (parts.length !== 4) throw new Error(`Invalid PORTAL format`);
+					if (parts.length !== 4 && parts.length !== 6) throw inputError(`Invalid PORTAL format`);
 					const [_, name, dim, face] = parts;
-					if (portalNames.has(name)) throw new Error(`Duplicate portal name: ${name}`);
+					if (portalNames.has(name)) throw inputError(`Duplicate portal name: ${name}`, 1);
+					if (name.toUpperCase() === 'NEW') throw inputError(`Portal name '${name}' is reserved`, 1);
 					if (dim !== Constants.O_DIM && dim !== Constants.N_DIM)
-						throw new Error(`Invalid dimension '${dim}' for portal ${name}`);
-					if (face !== 'X' && face !== 'Z') throw new Error(`Invalid facing '${face}' for portal ${name}`);
+						throw inputError(`Invalid dimension '${dim}' for portal ${name}`, 2);
+					if (face !== 'X' && face !== 'Z')
+						throw inputError(`Invalid facing '${face}' for portal ${name}`, 3);
+					const size = parsePortalSize(parts.slice(4), name, 4);
 					problem.portals[name] = {
 						name: name,
 						dim: dim,
 						face: face,
-						pos: vec3(), // Position to be solved
+						width: size.width,
+						height: size.height,
+						pos: vec3(), // Position to be solved (lowest corner portal block)
+						fixed: false,
+						foreign: false,
 						constraints: { inclusive: [], exclusive: [] },
 						desiredLinks: [], // Store desired links originating from here
+						line: entry.line,
 					};
 					portalNames.add(name);
+					portalEntries[name] = entry;
+					break;
+
+				case 'FIXED':
+				case 'FOREIGN':
+					// Existing portals that can't be moved. FOREIGN portals are not part of the network
+					// (no LINK or OPTIMIZE) but still capture players when they are the closest portal.
+					if (parts.length !== 7 && parts.length !== 9) throw inputError(`Invalid ${command} format`);
+					const [, fixedName, fixedDim, fixedFace] = parts;
+					if (portalNames.has(fixedName)) throw inputError(`Duplicate portal name: ${fixedName}`, 1);
+					if (fixedName.toUpperCase() === 'NEW')
+						throw inputError(`Portal name '${fixedName}' is reserved`, 1);
+					if (fixedDim !== Constants.O_DIM && fixedDim !== Constants.N_DIM)
+						throw inputError(`Invalid dimension '${fixedDim}' for portal ${fixedName}`, 2);
+					if (fixedFace !== 'X' && fixedFace !== 'Z')
+						throw inputError(`Invalid facing '${fixedFace}' for portal ${fixedName}`, 3);
+					const fixedCoords = parseCoordinates(parts.slice(4, 7), 4, variables);
+					if (fixedCoords.some((coord) => !Number.isInteger(coord)))
+						throw inputError(`Invalid coordinates for ${command} portal ${fixedName}`, 4, 6);
+					const fixedSize = parsePortalSize(parts.slice(7), fixedName, 7);
+					problem.portals[fixedName] = {
+						name: fixedName,
+						dim: fixedDim,
+						face: fixedFace,
+						width: fixedSize.width,
+						height: fixedSize.height,
+						pos: vec3(fixedCoords[0], fixedCoords[1], fixedCoords[2]),
+						fixed: true,
+						foreign: command === 'FOREIGN',
+						constraints: { inclusive: [], exclusive: [] },
+						desiredLinks: [],
+						line: entry.line,
+					};
+					portalNames.add(fixedName);
+					portalEntries[fixedName] = entry;
 					break;
 
 				case 'POS':
-					if (parts.length !== 9) throw new Error(`Invalid POS format`);
+					// POS <portal> <type> <box>, the box is either six coordinates or a REGION name
+					if (parts.length !== 9 && parts.length !== 4) throw inputError(`Invalid POS format`);
 					const portalNamePos = parts[1];
 					const type = parts[2].toUpperCase();
-					const coords = parts.slice(3).map(Number);
 					if (!portalNames.has(portalNamePos))
-						throw new Error(`Unknown portal '${portalNamePos}' in POS constraint`);
-					if (type !== 'INC' && type !== 'EXC') throw new Error(`Invalid POS type '${type}'`);
-					if (coords.some(isNaN))
-						throw new Error(`Invalid coordinates in POS constraint for ${portalNamePos}`);
-					const min = vec3(coords[0], coords[1], coords[2]);
-					const max = vec3(coords[3], coords[4], coords[5]);
-					if (min.x > max.x || min.y > max.y || min.z > max.z) {
-						throw new Error(
-							`Min coordinates must be <= Max coordinates in POS constraint for ${portalNamePos}`
+						throw inputError(`Unknown portal '${portalNamePos}' in POS constraint`, 1);
+					if (problem.portals[portalNamePos].fixed)
+						throw inputError(
+							`Portal '${portalNamePos}' has a fixed position and can't have POS constraints`,
+							1
+						);
+					if (type !== 'INC' && type !== 'EXC') throw inputError(`Invalid POS type '${type}'`, 2);
+					let min, max;
+					if (parts.length === 4) {
+						if (!(parts[3] in regions))
+							throw inputError(`Unknown region '${parts[3]}' in POS constraint`, 3);
+						({ min, max } = regions[parts[3]]);
+					} else {
+						({ min, max } = parseBox(parts.slice(3), variables, `POS constraint for ${portalNamePos}`));
+					}
+					const duplicate = problem.positionConstraints.find(
+						(c) =>
+							c.portalName === portalNamePos &&
+							c.type === type &&
+							['x', 'y', 'z'].every((axis) => c.min[axis] === min[axis] && c.max[axis] === max[axis])
+					);
+					if (duplicate) {
+						addDiagnostic(
+							'warning',
+							`POS box of portal ${portalNamePos} repeats line ${duplicate.line}`,
+							entry
 						);
 					}
-					const constraint = { portalName: portalNamePos, type: type, min: min, max: max };
+					const constraint = {
+						portalName: portalNamePos,
+						type: type,
+						min: min,
+						max: max,
+						line: entry.line, // Input line, so the map editor can rewrite it
+						included: entry.include !== null, // From an INCLUDE fragment, not a line of the input
+						region: parts.length === 4 ? parts[3] : null, // REGION the box was taken from
+						expressions: parts.length === 9 && !parts.slice(3).every(isNumberLiteral), // Uses VAR or math
+					};
 					problem.positionConstraints.push(constraint);
+					posEntries.set(constraint, entry);
 					// Also add to portal object for easier access
 					if (type === 'INC') {
 						problem.portals[portalNamePos].constraints.inclusive.push(constraint);
@@ -76,56 +520,156 @@ function parseProblem(inputText) {
 					}
 					break;
 
+				case 'NEAR':
+				case 'FAR':
+					// NEAR|FAR <portal1> <portal2> <distance>: at most or at least this far apart, in Overworld
+					// blocks like OPTIMIZE (Nether X/Z scaled by 8)
+					if (parts.length !== 4) throw inputError(`Invalid ${command} format`);
+					const [nearP1, nearP2] = parseRelativePortals(parts, problem, command);
+					const distance = parseCoordinates([parts[3]], 3, variables)[0];
+					if (distance < 0) throw inputError(`${command} distance must not be negative`, 3);
+					problem.relativeConstraints.push({ type: command, p1: nearP1, p2: nearP2, distance: distance });
+					break;
+
+				case 'SAME_Y':
+					if (parts.length !== 3) throw inputError(`Invalid SAME_Y format`);
+					const [sameP1, sameP2] = parseRelativePortals(parts, problem, command);
+					problem.relativeConstraints.push({ type: command, p1: sameP1, p2: sameP2 });
+					break;
+
+				case 'OFFSET':
+					// OFFSET <portal1> <portal2> <dx> <dy> <dz>: portal2 is placed at portal1 + (dx, dy, dz)
+					if (parts.length !== 6) throw inputError(`Invalid OFFSET format`);
+					const [offsetP1, offsetP2] = parseRelativePortals(parts, problem, command);
+					if (problem.portals[offsetP1].dim !== problem.portals[offsetP2].dim) {
+						throw inputError(
+							`OFFSET portals '${offsetP1}' and '${offsetP2}' must be in the same dimension`,
+							1,
+							2
+						);
+					}
+					const offset = parseCoordinates(parts.slice(3), 3, variables);
+					if (offset.some((coord) => !Number.isInteger(coord))) {
+						throw inputError(`OFFSET needs integer offsets`, 3, 5);
+					}
+					problem.relativeConstraints.push({
+						type: command,
+						p1: offsetP1,
+						p2: offsetP2,
+						offset: vec3(offset[0], offset[1], offset[2]),
+					});
+					break;
+
 				case 'LINK':
-					if (parts.length !== 3) throw new Error(`Invalid LINK format`);
+					if (parts.length < 3) throw inputError(`Invalid LINK format`);
 					const source = parts[1];
 					const dest = parts[2];
-					if (!portalNames.has(source)) throw new Error(`Unknown source portal '${source}' in LINK`);
-					if (!portalNames.has(dest)) throw new Error(`Unknown destination portal '${dest}' in LINK`);
+					const profiles = parseLinkProfiles(parts.slice(3), problem, 'LINK');
+					if (!portalNames.has(source)) throw inputError(`Unknown source portal '${source}' in LINK`, 1);
+					if (dest.toUpperCase() === 'NEW') {
+						// LINK <source> NEW: entering the source portal should generate a new portal
+						if (problem.portals[source].foreign)
+							throw inputError(`FOREIGN portals can't be part of a LINK`, 1);
+						problem.newPortalLinks.push({
+							source: source,
+							destDim: getOtherDimension(problem.portals[source].dim),
+							profiles: profiles,
+						});
+						break;
+					}
+					if (!portalNames.has(dest)) throw inputError(`Unknown destination portal '${dest}' in LINK`, 2);
+					if (problem.portals[source].foreign || problem.portals[dest].foreign) {
+						throw inputError(
+							`FOREIGN portals can't be part of a LINK`,
+							problem.portals[source].foreign ? 1 : 2
+						);
+					}
 					if (problem.portals[source].dim === problem.portals[dest].dim) {
-						throw new Error(
-							`LINK source '${source}' (${problem.portals[source].dim}) and destination '${dest}' (${problem.portals[dest].dim}) must be in different dimensions`
+						throw inputError(
+							`LINK source '${source}' (${problem.portals[source].dim}) and destination '${dest}' (${problem.portals[dest].dim}) must be in different dimensions`,
+							1,
+							2
 						);
 					}
-					const link = { source: source, dest: dest };
+					const link = { source: source, dest: dest, profiles: profiles };
 					problem.desiredLinks.push(link);
 					problem.portals[source].desiredLinks.push(dest); // Store outgoing link target name
 					break;
 
+				case 'NOLINK':
+					if (parts.length < 3) throw inputError(`Invalid NOLINK format`);
+					const noLinkSource = parts[1];
+					const noLinkDest = parts[2];
+					const noLinkProfiles = parseLinkProfiles(parts.slice(3), problem, 'NOLINK');
+					if (!portalNames.has(noLinkSource))
+						throw inputError(`Unknown source portal '${noLinkSource}' in NOLINK`, 1);
+					if (!portalNames.has(noLinkDest))
+						throw inputError(`Unknown destination portal '${noLinkDest}' in NOLINK`, 2);
+					if (problem.portals[noLinkSource].dim === problem.portals[noLinkDest].dim) {
+						throw inputError(
+							`NOLINK source '${noLinkSource}' (${problem.portals[noLinkSource].dim}) and destination '${noLinkDest}' (${problem.portals[noLinkDest].dim}) must be in different dimensions`,
+							1,
+							2
+						);
+					}
+					problem.forbiddenLinks.push({ source: noLinkSource, dest: noLinkDest, profiles: noLinkProfiles });
+					break;
+
 				case 'OPTIMIZE':
-					if (parts.length !== 3 && parts.length !== 4) throw new Error(`Invalid OPTIMIZE format`);
+					if (parts.length !== 3 && parts.length !== 4) throw inputError(`Invalid OPTIMIZE format`);
 					const p1 = parts[1];
 					const p2 = parts[2];
 					let weightOpt = 1.0;
 
-					if (!portalNames.has(p1)) throw new Error(`Unknown portal '${p1}' in OPTIMIZE`);
-					if (!portalNames.has(p2)) throw new Error(`Unknown portal '${p2}' in OPTIMIZE`);
+					if (!portalNames.has(p1)) throw inputError(`Unknown portal '${p1}' in OPTIMIZE`, 1);
+					if (!portalNames.has(p2)) throw inputError(`Unknown portal '${p2}' in OPTIMIZE`, 2);
+					if (problem.portals[p1].foreign || problem.portals[p2].foreign) {
+						throw inputError(
+							`FOREIGN portals can't be part of an OPTIMIZE goal`,
+							problem.portals[p1].foreign ? 1 : 2
+						);
+					}
 
 					if (parts.length === 4) {
 						weightOpt = parseFloat(parts[3]);
 						if (isNaN(weightOpt) || weightOpt < 0) {
-							throw new Error(`Invalid or negative weight '${parts[3]}' for OPTIMIZE ${p1} ${p2}`);
+							throw inputError(`Invalid or negative weight '${parts[3]}' for OPTIMIZE ${p1} ${p2}`, 3);
 						}
 					}
 					problem.optimizationPairs.push({ type: 'portal', p1: p1, p2: p2, weight: weightOpt });
 					break;
 
+				case 'OPTIMIZE_MARGIN':
+					// Favour layouts where every LINK keeps a wide lead over the next closest portal
+					if (parts.length > 2) throw inputError(`Invalid OPTIMIZE_MARGIN format`);
+					let marginWeight = 1.0;
+					if (parts.length === 2) {
+						marginWeight = parseFloat(parts[1]);
+						if (isNaN(marginWeight) || marginWeight < 0) {
+							throw inputError(`Invalid or negative weight '${parts[1]}' for OPTIMIZE_MARGIN`, 1);
+						}
+					}
+					problem.marginWeight = marginWeight;
+					break;
+
 				case 'OPTIMIZE_POS':
-					if (parts.length !== 5 && parts.length !== 6) throw new Error(`Invalid OPTIMIZE_POS format`);
+					if (parts.length !== 5 && parts.length !== 6) throw inputError(`Invalid OPTIMIZE_POS format`);
 					const portalNameOpt = parts[1];
-					const targetCoords = parts.slice(2).map(Number);
 					let weightPos = 1.0;
 
 					if (!portalNames.has(portalNameOpt))
-						throw new Error(`Unknown portal '${portalNameOpt}' in OPTIMIZE_POS`);
-					if (targetCoords.some(isNaN))
-						throw new Error(`Invalid coordinates in OPTIMIZE_POS for ${portalNameOpt}`);
+						throw inputError(`Unknown portal '${portalNameOpt}' in OPTIMIZE_POS`, 1);
+					if (problem.portals[portalNameOpt].foreign) {
+						throw inputError(`FOREIGN portals can't be part of an OPTIMIZE_POS goal`, 1);
+					}
+					const targetCoords = parseCoordinates(parts.slice(2, 5), 2, variables);
 
 					if (parts.length === 6) {
 						weightPos = parseFloat(parts[5]);
 						if (isNaN(weightPos) || weightPos < 0) {
-							throw new Error(
-								`Invalid or negative weight '${parts[5]}' for OPTIMIZE_POS ${portalNameOpt}`
+							throw inputError(
+								`Invalid or negative weight '${parts[5]}' for OPTIMIZE_POS ${portalNameOpt}`,
+								5
 							);
 						}
 					}
@@ -138,23 +682,102 @@ function parseProblem(inputText) {
 					});
 					break;
 
+				case 'VAR':
+					// VAR <name> <expression>, for the coordinates of the lines after it
+					if (parts.length !== 3) throw inputError(`Invalid VAR format`);
+					if (!/^[A-Za-z_]\w*$/.test(parts[1])) {
+						throw inputError(`Invalid variable name '${parts[1]}' (letters, digits and _)`, 1);
+					}
+					if (parts[1] in variables) throw inputError(`Duplicate variable name: ${parts[1]}`, 1);
+					variables[parts[1]] = parseCoordinates([parts[2]], 2, variables)[0];
+					break;
+
+				case 'REGION':
+					// REGION <name> <box>: a box that POS lines can use by name
+					if (parts.length !== 8) throw inputError(`Invalid REGION format`);
+					if (parts[1] in regions) throw inputError(`Duplicate region name: ${parts[1]}`, 1);
+					regions[parts[1]] = parseBox(parts.slice(2), variables, `REGION ${parts[1]}`, 2);
+					break;
+
+				case 'INCLUDE':
+					// The fragment's lines follow this one, see expandIncludes
+					if (entry.includeError) throw entry.includeError;
+					break;
+
 				default:
-					throw new Error(`Unknown command: ${command}`);
+					throw inputError(`Unknown command: ${command}`, 0);
 			}
 		} catch (error) {
-			throw new Error(`Error parsing line ${i + 1}: ${line}\n${error.message}`);
+			addDiagnostic('error', error.message, entry, error.tokens);
 		}
 	}
 
 	// Final validation
+	const linkedNames = new Set();
+	for (const link of [...problem.desiredLinks, ...problem.newPortalLinks]) {
+		linkedNames.add(link.source);
+		if (link.dest) linkedNames.add(link.dest);
+	}
 	for (const name in problem.portals) {
-		if (problem.portals[name].constraints.inclusive.length === 0) {
-			throw new Error(`Portal ${name} has no inclusive position constraints (POS INC) defined.`);
+		const portal = problem.portals[name];
+		if (!portal.fixed && portal.constraints.inclusive.length === 0) {
+			if (options.allowMissingPositions) continue;
+			addDiagnostic(
+				'error',
+				`Portal ${name} has no inclusive position constraints (POS INC) defined.`,
+				portalEntries[name],
+				[1, 1]
+			);
+			continue;
+		}
+		for (const issue of limitToBuildHeight(problem, portal)) {
+			if (issue.constraint) {
+				// The Y coordinates of the box, or its REGION name
+				const yTokens = issue.constraint.region === null ? [4, 7] : [3, 3];
+				addDiagnostic(issue.severity, issue.message, posEntries.get(issue.constraint), yTokens);
+			} else {
+				addDiagnostic(issue.severity, issue.message, portalEntries[name], [5, 5]); // y of FIXED and FOREIGN
+			}
+		}
+		if (!portal.foreign && !linkedNames.has(name)) {
+			const hint = portal.fixed
+				? 'declare existing portals outside the network as FOREIGN'
+				: 'its position only follows the OPTIMIZE goals and relative constraints';
+			addDiagnostic('warning', `Portal ${name} is not part of any LINK (${hint}).`, portalEntries[name], [1, 1]);
 		}
 	}
-	if (Object.keys(problem.portals).length < 2) {
-		console.warn('Warning: Less than two portals defined. Linking and optimization might be trivial.');
+	const definedNames = Object.keys(problem.portals);
+	if (definedNames.length < 2) {
+		// On the only portal, or on the first line if there is none
+		const entry = definedNames.length === 1 ? portalEntries[definedNames[0]] : { line: 1, include: null };
+		addDiagnostic(
+			'warning',
+			'Less than two portals defined. Linking and optimization might be trivial.',
+			entry,
+			definedNames.length === 1 ? [1, 1] : null
+		);
 	}
 
+	diagnostics.sort((a, b) => a.line - b.line || a.startColumn - b.startColumn);
+	return { problem, diagnostics };
+}
+
+// Error message of a diagnostic with the input line it is about
+function formatDiagnostic(diagnostic, inputText) {
+	const line = inputText.split('\n')[diagnostic.line - 1].trim();
+	return `Error parsing line ${diagnostic.line}: ${line}\n${diagnostic.message}`;
+}
+
+// Parses the problem input, throws with every error if there are any. Warnings are in problem.warnings.
+function parseProblem(inputText, options = {}) {
+	const { problem, diagnostics } = parseProblemDiagnostics(inputText, options);
+	const errors = diagnostics.filter((diagnostic) => diagnostic.severity === 'error');
+	if (errors.length > 0) {
+		throw new Error(errors.map((diagnostic) => formatDiagnostic(diagnostic, inputText)).join('\n\n'));
+	}
 	return problem;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { INPUT_COMMANDS, tokenizeLine, inlineIncludes, parseProblemDiagnostics, parseProblem };
+}
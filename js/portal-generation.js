@@ -0,0 +1,50 @@
+// js/portal-generation.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(globalThis, require('./utils.js'), require('./linking-models.js'));
+}
+
+// Model of the vanilla portal creation when the destination search finds no portal.
+// The game looks for a suitable spot (solid ground, enough air) within the generation search radius of
+// the scaled entry position and picks the closest one. The terrain is unknown here, so the prediction is
+// the search area plus the position the game forces the portal to when no suitable spot exists.
+// Search radius and forced Y range depend on the game version (see the linking model's generation).
+const PortalGeneration = {
+	// Generated portals are always the minimum size and keep the axis of the entry portal
+	WIDTH: 2,
+	HEIGHT: 3,
+};
+
+// Predict the portal generated when entering the source portal finds no destination in destDim
+function predictGeneratedPortal(sourcePortal, sourcePos, destDim, model = getLinkingModel()) {
+	const generation = model.generation;
+	const entityPos = getPortalCenter(sourcePos, sourcePortal);
+	const target = floorVec3(scaleVec3XZ(entityPos, model.coordScale(destDim)));
+	const forcedPos = vec3(target.x, clamp(target.y, generation.minForcedY, generation.maxForcedY[destDim]), target.z);
+
+	return {
+		source: sourcePortal.name,
+		dim: destDim,
+		target: target, // Center of the search for a suitable spot
+		searchRadius: generation.searchRadius,
+		pos: forcedPos,
+		// Portal definition of the predicted portal, so it can take part in link checks
+		portal: {
+			name: `${sourcePortal.name} -> NEW`,
+			dim: destDim,
+			face: sourcePortal.face,
+			width: PortalGeneration.WIDTH,
+			height: PortalGeneration.HEIGHT,
+			pos: forcedPos,
+			fixed: true,
+			foreign: true,
+			constraints: { inclusive: [], exclusive: [] },
+			desiredLinks: [],
+		},
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { PortalGeneration, predictGeneratedPortal };
+}
@@ -0,0 +1,327 @@
+// js/problem-json.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(
+		globalThis,
+		require('./utils.js'),
+		require('./linking-models.js'),
+		require('./parser.js'),
+		require('./format.js')
+	);
+}
+
+// JSON format of problems and results, described by the schemas in schema/. A JSON problem is turned into
+// input text and parsed by parseProblem, so both formats go through the same validation, and a parsed
+// problem is written back as canonical input text through its JSON form.
+
+const PROBLEM_JSON_FORMAT = 'nether-portal-solver/problem';
+const RESULT_JSON_FORMAT = 'nether-portal-solver/result';
+const JSON_FORMAT_VERSION = 1;
+
+// --- Parsed problem -> JSON ---
+
+function problemToJson(problem) {
+	const settings = {
+		version: problem.version,
+		seed: problem.seed,
+		entitySize: problem.entitySize,
+		allowNetherRoof: problem.allowNetherRoof,
+		worldHeight: { ...problem.worldHeight },
+	};
+	const withProfiles = (link, json) => {
+		const defaultOnly = link.profiles.length === 1 && link.profiles[0] === Constants.DEFAULT_ENTITY_PROFILE;
+		return defaultOnly ? json : { ...json, profiles: [...link.profiles] };
+	};
+
+	const goals = problem.optimizationPairs.map((pair) =>
+		pair.type === 'portal'
+			? { type: 'portal', portals: [pair.p1, pair.p2], weight: pair.weight }
+			: { type: 'position', portal: pair.p1, target: copyVec3(pair.p2), weight: pair.weight }
+	);
+	if (problem.marginWeight > 0) goals.push({ type: 'margin', weight: problem.marginWeight });
+
+	return {
+		format: PROBLEM_JSON_FORMAT,
+		version: JSON_FORMAT_VERSION,
+		settings: settings,
+		entityProfiles: Object.values(problem.entityProfiles).map((profile) => ({
+			name: profile.name,
+			width: profile.width,
+			offsetY: profile.offsetY,
+		})),
+		portals: Object.values(problem.portals).map((portal) => {
+			const json = { name: portal.name, kind: portal.foreign ? 'foreign' : portal.fixed ? 'fixed' : 'movable' };
+			Object.assign(json, { dim: portal.dim, face: portal.face, width: portal.width, height: portal.height });
+			if (portal.fixed) json.pos = copyVec3(portal.pos);
+			return json;
+		}),
+		// The boxes limited to the build height, as the solver uses them
+		positionConstraints: problem.positionConstraints.map((constraint) => ({
+			portal: constraint.portalName,
+			type: constraint.type,
+			min: copyVec3(constraint.min),
+			max: copyVec3(constraint.max),
+		})),
+		relativeConstraints: problem.relativeConstraints.map((constraint) => {
+			const json = { type: constraint.type, portals: [constraint.p1, constraint.p2] };
+			if (constraint.type === 'OFFSET') json.offset = copyVec3(constraint.offset);
+			else if (constraint.type !== 'SAME_Y') json.distance = constraint.distance;
+			return json;
+		}),
+		links: [
+			...problem.desiredLinks.map((link) => withProfiles(link, { source: link.source, dest: link.dest })),
+			...problem.newPortalLinks.map((link) => withProfiles(link, { source: link.source, dest: null })),
+		],
+		forbiddenLinks: problem.forbiddenLinks.map((link) =>
+			withProfiles(link, { source: link.source, dest: link.dest })
+		),
+		goals: goals,
+	};
+}
+
+// --- JSON -> input text ---
+
+function jsonTypeError(path, expected) {
+	return new Error(`Invalid problem JSON at ${path}: expected ${expected}`);
+}
+
+function expectType(value, path, type) {
+	const ok =
+		type === 'array' ? Array.isArray(value) : typeof value === type && value !== null && !Array.isArray(value);
+	if (!ok) throw jsonTypeError(path, type === 'object' ? 'an object' : `a ${type}`);
+	return value;
+}
+
+// Names become words of the input text, so they can't be empty or contain whitespace
+function expectName(value, path) {
+	if (typeof value !== 'string' || !/^\S+$/.test(value) || value.startsWith('#')) {
+		throw jsonTypeError(path, 'a name without spaces');
+	}
+	return value;
+}
+
+function expectVec3(value, path) {
+	expectType(value, path, 'object');
+	for (const axis of ['x', 'y', 'z']) expectType(value[axis], `${path}.${axis}`, 'number');
+	return `${value.x} ${value.y} ${value.z}`;
+}
+
+function optionalNumber(value, path) {
+	if (value === undefined) return null;
+	return expectType(value, path, 'number');
+}
+
+function profileSuffix(link, path) {
+	if (link.profiles === undefined) return '';
+	return expectType(link.profiles, `${path}.profiles`, 'array')
+		.map((name, i) => ` ${expectName(name, `${path}.profiles[${i}]`)}`)
+		.join('');
+}
+
+// Input lines of a JSON problem, each with the JSON path it came from: [{ text, path }].
+// Only the structure is checked here, everything else is left to the parser.
+function getProblemJsonLines(json) {
+	expectType(json, '$', 'object');
+	if (json.format !== PROBLEM_JSON_FORMAT) throw jsonTypeError('$.format', `'${PROBLEM_JSON_FORMAT}'`);
+	if (json.version !== JSON_FORMAT_VERSION) throw jsonTypeError('$.version', `${JSON_FORMAT_VERSION}`);
+	const lines = [];
+	const add = (text, path) => lines.push({ text, path });
+	const list = (key) => (json[key] === undefined ? [] : expectType(json[key], `$.${key}`, 'array'));
+
+	const settings = json.settings === undefined ? {} : expectType(json.settings, '$.settings', 'object');
+	if (settings.seed !== undefined && settings.seed !== null) {
+		add(`SEED ${expectType(settings.seed, '$.settings.seed', 'number')}`, '$.settings.seed');
+	}
+	if (settings.version !== undefined && settings.version !== DEFAULT_LINKING_MODEL) {
+		add(`VERSION ${expectName(settings.version, '$.settings.version')}`, '$.settings.version');
+	}
+	if (settings.worldHeight !== undefined) {
+		expectType(settings.worldHeight, '$.settings.worldHeight', 'object');
+		for (const [dim, range] of Object.entries(settings.worldHeight)) {
+			const path = `$.settings.worldHeight.${dim}`;
+			expectType(range, path, 'object');
+			const minY = expectType(range.minY, `${path}.minY`, 'number');
+			const maxY = expectType(range.maxY, `${path}.maxY`, 'number');
+			add(`WORLD_HEIGHT ${expectName(dim, path)} ${minY} ${maxY}`, path);
+		}
+	}
+	if (settings.allowNetherRoof !== undefined) {
+		if (expectType(settings.allowNetherRoof, '$.settings.allowNetherRoof', 'boolean')) {
+			add('ALLOW_NETHER_ROOF', '$.settings.allowNetherRoof');
+		}
+	}
+	const entitySize = optionalNumber(settings.entitySize, '$.settings.entitySize');
+	if (entitySize !== null && entitySize !== 1) add(`ENTITY_SIZE ${entitySize}`, '$.settings.entitySize');
+
+	list('entityProfiles').forEach((profile, i) => {
+		const path = `$.entityProfiles[${i}]`;
+		expectType(profile, path, 'object');
+		const offsetY = optionalNumber(profile.offsetY, `${path}.offsetY`);
+		const width = expectType(profile.width, `${path}.width`, 'number');
+		add(`ENTITY ${expectName(profile.name, `${path}.name`)} ${width}${offsetY ? ` ${offsetY}` : ''}`, path);
+	});
+
+	list('portals').forEach((portal, i) => {
+		const path = `$.portals[${i}]`;
+		expectType(portal, path, 'object');
+		const kind = portal.kind === undefined ? 'movable' : portal.kind;
+		if (!['movable', 'fixed', 'foreign'].includes(kind)) {
+			throw jsonTypeError(`${path}.kind`, "'movable', 'fixed' or 'foreign'");
+		}
+		const name = expectName(portal.name, `${path}.name`);
+		const dim = expectName(portal.dim, `${path}.dim`);
+		const face = expectName(portal.face, `${path}.face`);
+		const width = optionalNumber(portal.width, `${path}.width`);
+		const height = optionalNumber(portal.height, `${path}.height`);
+		const size = (width || 1) !== 1 || (height || 1) !== 1 ? ` ${width || 1} ${height || 1}` : '';
+		if (kind === 'movable') {
+			add(`PORTAL ${name} ${dim} ${face}${size}`, path);
+		} else {
+			add(`${kind.toUpperCase()} ${name} ${dim} ${face} ${expectVec3(portal.pos, `${path}.pos`)}${size}`, path);
+		}
+	});
+
+	list('positionConstraints').forEach((constraint, i) => {
+		const path = `$.positionConstraints[${i}]`;
+		expectType(constraint, path, 'object');
+		const portal = expectName(constraint.portal, `${path}.portal`);
+		const type = expectName(constraint.type, `${path}.type`);
+		const min = expectVec3(constraint.min, `${path}.min`);
+		add(`POS ${portal} ${type} ${min} ${expectVec3(constraint.max, `${path}.max`)}`, path);
+	});
+
+	list('relativeConstraints').forEach((constraint, i) => {
+		const path = `$.relativeConstraints[${i}]`;
+		expectType(constraint, path, 'object');
+		const type = expectName(constraint.type, `${path}.type`);
+		const portals = expectType(constraint.portals, `${path}.portals`, 'array');
+		if (portals.length !== 2) throw jsonTypeError(`${path}.portals`, 'two portal names');
+		const [p1, p2] = portals.map((name, j) => expectName(name, `${path}.portals[${j}]`));
+		let value = '';
+		if (constraint.offset !== undefined) value = ` ${expectVec3(constraint.offset, `${path}.offset`)}`;
+		else if (constraint.distance !== undefined)
+			value = ` ${expectType(constraint.distance, `${path}.distance`, 'number')}`;
+		add(`${type} ${p1} ${p2}${value}`, path);
+	});
+
+	list('links').forEach((link, i) => {
+		const path = `$.links[${i}]`;
+		expectType(link, path, 'object');
+		const dest = link.dest === null ? 'NEW' : expectName(link.dest, `${path}.dest`);
+		add(`LINK ${expectName(link.source, `${path}.source`)} ${dest}${profileSuffix(link, path)}`, path);
+	});
+	list('forbiddenLinks').forEach((link, i) => {
+		const path = `$.forbiddenLinks[${i}]`;
+		expectType(link, path, 'object');
+		const source = expectName(link.source, `${path}.source`);
+		add(`NOLINK ${source} ${expectName(link.dest, `${path}.dest`)}${profileSuffix(link, path)}`, path);
+	});
+
+	list('goals').forEach((goal, i) => {
+		const path = `$.goals[${i}]`;
+		expectType(goal, path, 'object');
+		const weight = optionalNumber(goal.weight, `${path}.weight`);
+		const weightText = weight === null || weight === 1 ? '' : ` ${weight}`;
+		if (goal.type === 'portal') {
+			const portals = expectType(goal.portals, `${path}.portals`, 'array');
+			if (portals.length !== 2) throw jsonTypeError(`${path}.portals`, 'two portal names');
+			const [p1, p2] = portals.map((name, j) => expectName(name, `${path}.portals[${j}]`));
+			add(`OPTIMIZE ${p1} ${p2}${weightText}`, path);
+		} else if (goal.type === 'position') {
+			const target = expectVec3(goal.target, `${path}.target`);
+			add(`OPTIMIZE_POS ${expectName(goal.portal, `${path}.portal`)} ${target}${weightText}`, path);
+		} else if (goal.type === 'margin') {
+			add(`OPTIMIZE_MARGIN${weightText}`, path);
+		} else {
+			throw jsonTypeError(`${path}.type`, "'portal', 'position' or 'margin'");
+		}
+	});
+	return lines;
+}
+
+// Canonical input text of a parsed problem: settings, entity profiles, portals, POS boxes, relative constraints,
+// links and goals
+function formatProblemText(problem) {
+	const lines = getProblemJsonLines(problemToJson(problem)).map((line) => line.text);
+	return lines.join('\n') + '\n';
+}
+
+// Parses a JSON problem (object or JSON text) like parseProblem, errors name the JSON path they are about
+function parseProblemJson(json, options = {}) {
+	const lines = getProblemJsonLines(typeof json === 'string' ? JSON.parse(json) : json);
+	const { problem, diagnostics } = parseProblemDiagnostics(lines.map((line) => line.text).join('\n'), options);
+	const errors = diagnostics.filter((diagnostic) => diagnostic.severity === 'error');
+	if (errors.length > 0) {
+		const describe = (error) => {
+			const line = lines[error.line - 1];
+			return `Error in ${line.path} (${line.text}):\n${error.message}`;
+		};
+		throw new Error(errors.map(describe).join('\n\n'));
+	}
+	return problem;
+}
+
+// Problem files can be either format, JSON ones start with '{'
+function parseProblemInput(text, options = {}) {
+	return text.trimStart().startsWith('{') ? parseProblemJson(text, options) : parseProblem(text, options);
+}
+
+// --- Result -> JSON ---
+
+function resultToJson(problem, result) {
+	const number = (value) => (value === undefined || value === null ? null : Number(value));
+	return {
+		format: RESULT_JSON_FORMAT,
+		version: JSON_FORMAT_VERSION,
+		success: result.success,
+		cancelled: result.cancelled === true,
+		infeasible: result.infeasible === true,
+		message: result.message,
+		seed: result.seed === undefined ? null : result.seed,
+		solution: result.solution
+			? Object.fromEntries(Object.entries(result.solution).map(([name, pos]) => [name, copyVec3(pos)]))
+			: null,
+		violations: {
+			links: result.violatedLinks,
+			forbiddenLinks: result.violatedForbiddenLinks,
+			positions: result.violatedPositions,
+			relative: result.violatedRelativeConstraints || [],
+		},
+		optimizationDistances: Object.entries(result.optimizationDistances).map(([goal, distance]) => ({
+			goal: goal,
+			distance: number(distance.linear),
+			weight: number(distance.weight),
+		})),
+		linkMargins: Object.entries(result.linkMargins || {}).map(([link, margin]) => ({ link: link, ...margin })),
+		actualLinks: (result.actualLinks || []).map((link) => ({
+			source: link.source,
+			dests: link.dests,
+			declaredDests: link.declaredDests || [],
+			notes: link.notes || [],
+			highlight: link.highlight === true,
+		})),
+		generatedPortals: (result.generatedPortals || []).map((prediction) => ({
+			source: prediction.source,
+			dim: prediction.dim,
+			target: copyVec3(prediction.target),
+			searchRadius: prediction.searchRadius,
+			pos: copyVec3(prediction.pos),
+			returnDest: prediction.returnDest === undefined ? null : prediction.returnDest,
+		})),
+		entryHeatmaps: result.entryHeatmaps || [],
+		paretoSolutions: result.paretoSolutions || [],
+		warnings: result.warnings || [],
+		commands: generatePortalCommands(problem, result.solution),
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		problemToJson,
+		formatProblemText,
+		parseProblemJson,
+		parseProblemInput,
+		resultToJson,
+	};
+}
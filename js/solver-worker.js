@@ -0,0 +1,59 @@
+// js/solver-worker.js
+
+// Runs the solver off the main thread. Messages from main.js:
+//   { type: 'solve', problem, mode }, { type: 'pause' }, { type: 'resume' }, { type: 'cancel' }
+// Messages to main.js:
+//   { type: 'status', message }, { type: 'progress', iteration, maxIterations, temperature, cost },
+//   { type: 'result', result }, { type: 'error', message, stack }
+
+importScripts(
+	'utils.js',
+	'linking-models.js',
+	'parser.js',
+	'portal-generation.js',
+	'pareto.js',
+	'solver.js',
+	'exact-solver.js'
+);
+
+let solver = null;
+
+self.onmessage = async (event) => {
+	const message = event.data;
+
+	switch (message.type) {
+		case 'solve':
+			try {
+				const statusCallback = (statusMessage) => {
+					self.postMessage({ type: 'status', message: statusMessage });
+				};
+				const progressCallback = (iteration, maxIterations, temperature, cost) => {
+					self.postMessage({ type: 'progress', iteration, maxIterations, temperature, cost });
+				};
+
+				solver = createPortalSolver(message.mode, message.problem, statusCallback, progressCallback);
+				const result = await solver.solve();
+				self.postMessage({ type: 'result', result: result });
+			} catch (error) {
+				self.postMessage({ type: 'error', message: error.message, stack: error.stack });
+			} finally {
+				solver = null;
+			}
+			break;
+
+		case 'pause':
+			if (solver) solver.pause();
+			break;
+
+		case 'resume':
+			if (solver) solver.resume();
+			break;
+
+		case 'cancel':
+			if (solver) solver.cancel();
+			break;
+
+		default:
+			console.warn(`Solver worker: Unknown message type '${message.type}'`);
+	}
+};
@@ -1,16 +1,47 @@
 // js/solver.js
 
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(
+		globalThis,
+		require('./utils.js'),
+		require('./linking-models.js'),
+		require('./portal-generation.js'),
+		require('./pareto.js')
+	);
+}
+
 class PortalSolver {
 	constructor(problem, statusCallback, progressCallback) {
 		this.problem = problem;
 		this.statusCallback = statusCallback;
 		this.progressCallback = progressCallback;
 
+		this.model = getLinkingModel(problem.version); // Linking rules of the selected game version
+		// ENTITY profiles, the default one is sized by ENTITY_SIZE
+		this.entityProfiles = {
+			[Constants.DEFAULT_ENTITY_PROFILE]: {
+				name: Constants.DEFAULT_ENTITY_PROFILE,
+				width: problem.entitySize,
+				offsetY: 0,
+			},
+			...problem.entityProfiles,
+		};
 		this.portalNames = Object.keys(this.problem.portals);
+		// FIXED and FOREIGN portals keep their position, only these are moved
+		this.movablePortalNames = this.portalNames.filter((name) => !this.problem.portals[name].fixed);
+		// OFFSET and SAME_Y pin portals to each other, moves carry the partners along
+		this.tiedConstraints = problem.relativeConstraints.filter(
+			(constraint) => constraint.type === 'OFFSET' || constraint.type === 'SAME_Y'
+		);
 		this.currentState = {}; // { portalName: {x, y, z}, ... }
 		this.bestState = {};
 		this.minCost = Infinity;
 
+		// All randomness goes through this seeded generator so runs can be replayed
+		this.seed = problem.seed !== null ? problem.seed : randomSeed();
+		this.random = createRandom(this.seed);
+
 		// Tunable parameters for Simulated Annealing
 		this.initialTemperature = 100000.0; // Adjust based on typical cost scales
 		this.coolingRate = 0.995; // Geometric cooling factor
@@ -23,6 +54,40 @@ class PortalSolver {
 		this.stage1TempMultiplier = 1.5; // Higher starting temp for stage 1
 		this.stage1LargeJumpChance = 0.2; // 20% chance of a large random jump in Stage 1
 		this.stage1AcceptWorseViolationProb = 0.1; // Base probability to accept a move increasing violations
+
+		// Run control, requests are picked up whenever the solver yields
+		this.paused = false;
+		this.cancelRequested = false;
+		this.resumeCallback = null;
+	}
+
+	// --- Run Control ---
+
+	pause() {
+		this.paused = true;
+		this.statusCallback('Paused.');
+	}
+
+	resume() {
+		this.paused = false;
+		if (this.resumeCallback) {
+			this.resumeCallback();
+			this.resumeCallback = null;
+		}
+	}
+
+	// The solver stops at its next yield and returns the best state found so far
+	cancel() {
+		this.cancelRequested = true;
+		this.resume();
+	}
+
+	// Yield to the event loop (UI updates, pause/cancel requests) and wait while paused
+	async yieldToEventLoop(delay = 0) {
+		await new Promise((resolve) => setTimeout(resolve, delay));
+		while (this.paused && !this.cancelRequested) {
+			await new Promise((resolve) => (this.resumeCallback = resolve));
+		}
 	}
 
 	// --- Core Solver Logic (Simulated Annealing) ---
@@ -34,7 +99,7 @@ class PortalSolver {
 		// Initialize State: Find a random starting point satisfying position constraints for all portals
 		if (!this.initializeState()) {
 			this.statusCallback('Initialization Failed: Could not find valid starting positions for all portals.');
-			return { solution: null, success: false, message: 'Initialization failed (position constraints).' };
+			return this.emptyResult('Initialization failed (position constraints).');
 		}
 
 		let feasibleState = null;
@@ -44,7 +109,7 @@ class PortalSolver {
 		let minViolationsFound = this.calculateCost(bestViolationState, 0); // Cost = violation count
 
 		// --- Stage 1: Find Feasible Solution (with Retries & Large Jumps) ---
-		for (let attempt = 1; attempt <= this.stage1MaxAttempts && !feasibleFound; attempt++) {
+		for (let attempt = 1; attempt <= this.stage1MaxAttempts && !feasibleFound && !this.cancelRequested; attempt++) {
 			this.statusCallback(`Stage 1 (Attempt ${attempt}/${this.stage1MaxAttempts}): Seeking Feasible Solution...`);
 
 			// Re-initialize position for subsequent attempts if the first one fails, to get a fresh start
@@ -101,7 +166,7 @@ class PortalSolver {
 				} else if (deltaCost === 0) {
 					// Accept sideways moves (same number of violations) based on standard SA probability
 					// Helps explore plateaus of equal violation count. exp(0/T) = 1
-					if (Math.random() < Math.exp(-deltaCost / stage1Temp)) {
+					if (this.random() < Math.exp(-deltaCost / stage1Temp)) {
 						// Essentially accepts with prob 1 unless temp is 0
 						acceptMove = true;
 					}
@@ -109,7 +174,7 @@ class PortalSolver {
 					// deltaCost > 0 (move increases violations)
 					// Accept worsening moves with lower probability, dependent on temp & parameter
 					// Allows escaping local minima of violations
-					if (Math.random() < this.stage1AcceptWorseViolationProb * Math.exp(-deltaCost / stage1Temp)) {
+					if (this.random() < this.stage1AcceptWorseViolationProb * Math.exp(-deltaCost / stage1Temp)) {
 						// console.log(`Stage 1: Accepted worse move (${stage1CurrentCost} -> ${neighborCost})`);
 						acceptMove = true;
 					}
@@ -144,7 +209,8 @@ class PortalSolver {
 							2
 						)}`
 					);
-					await new Promise((resolve) => setTimeout(resolve, 0)); // Yield to browser
+					await this.yieldToEventLoop(); // Yield to browser
+					if (this.cancelRequested) break;
 				}
 
 				// Stop if temperature is too low for effective search
@@ -159,7 +225,7 @@ class PortalSolver {
 				break;
 			}
 			// Log if attempt finished without finding solution before starting next attempt
-			if (attempt < this.stage1MaxAttempts) {
+			if (attempt < this.stage1MaxAttempts && !this.cancelRequested) {
 				const currentAttemptMinViolations = this.calculateCost(stage1CurrentState, 0); // Check final state of this attempt
 				if (currentAttemptMinViolations < minViolationsFound) {
 					// Update overall best if needed
@@ -169,19 +235,28 @@ class PortalSolver {
 				this.statusCallback(
 					`Stage 1 (Attempt ${attempt}) finished. Min violations this attempt: ${currentAttemptMinViolations}. Proceeding to next attempt.`
 				);
-				await new Promise((resolve) => setTimeout(resolve, 5)); // Small pause before next attempt starts
+				await this.yieldToEventLoop(5); // Small pause before next attempt starts
 			}
 		} // End Stage 1 attempt loop
 
 		// --- Handle Stage 1 Outcome ---
 		if (!feasibleFound) {
-			// Feasibility search failed across all attempts
-			this.statusCallback(
-				`Stage 1 Failed after ${this.stage1MaxAttempts} attempts: Could not find feasible solution. Min violations found: ${minViolationsFound}.`
-			);
+			// Feasibility search failed across all attempts (or was cancelled)
+			if (this.cancelRequested) {
+				this.statusCallback(`Cancelled during Stage 1. Min violations found: ${minViolationsFound}.`);
+			} else {
+				this.statusCallback(
+					`Stage 1 Failed after ${this.stage1MaxAttempts} attempts: Could not find feasible solution. Min violations found: ${minViolationsFound}.`
+				);
+			}
 			// Return the best state found (minimum violations), even though it's invalid
 			const result = this.verifySolution(bestViolationState); // Verify the best-effort state
-			result.message = `Stage 1 Failed: Could not find state satisfying all link constraints (min violations = ${minViolationsFound}). Best attempt shown.`;
+			if (this.cancelRequested) {
+				result.message = `Cancelled during Stage 1: No state satisfying all link constraints found yet (min violations = ${minViolationsFound}). Best attempt shown.`;
+				result.cancelled = true;
+			} else {
+				result.message = `Stage 1 Failed: Could not find state satisfying all link constraints (min violations = ${minViolationsFound}). Best attempt shown.`;
+			}
 			result.success = false; // Mark as failure
 			// Update portal objects with the best-attempt positions for output
 			for (const name in bestViolationState) {
@@ -197,13 +272,21 @@ class PortalSolver {
 
 		// --- Stage 2: Optimize from Feasible Solution (Strictly Feasible) ---
 		this.statusCallback('Stage 1 Complete: Feasible solution found. Starting Stage 2 Optimization.');
+		return this.optimizeFeasibleState(feasibleState);
+	}
 
+	// Stage 2 of the solver: optimize a feasible state while keeping every link satisfied.
+	// Also used by the exact solver once it has found a feasible layout.
+	async optimizeFeasibleState(feasibleState) {
 		// Start Stage 2 from the feasible state found
 		this.currentState = this.copyState(feasibleState);
 		// Calculate the initial full cost (including optimization terms) of the feasible state
 		let currentFullCost = this.calculateCost(this.currentState, 1.0);
 		this.minCost = currentFullCost; // This is the best cost found so far (must be feasible)
 		this.bestState = this.copyState(this.currentState); // This is the best feasible state found so far
+		// Feasible trade-offs between the OPTIMIZE goals, offered alternatives to the weighted best
+		const archive = new ParetoArchive(Constants.PARETO_MAX_SOLUTIONS);
+		archive.offer(this.bestState, this.lastObjectives, currentFullCost);
 
 		// Configure Stage 2 parameters
 		// Allocate remaining iterations (or a minimum fraction) to optimization
@@ -234,9 +317,10 @@ class PortalSolver {
 			// Calculate the full cost (including optimization penalty & objectives) of the feasible neighbor
 			const neighborFullCost = this.calculateCost(neighborState, 1.0);
 			const deltaCost = neighborFullCost - currentFullCost;
+			archive.offer(neighborState, this.lastObjectives, neighborFullCost);
 
 			// Apply standard SA acceptance criteria ONLY to feasible neighbors
-			if (deltaCost < 0 || Math.random() < Math.exp(-deltaCost / temperature)) {
+			if (deltaCost < 0 || this.random() < Math.exp(-deltaCost / temperature)) {
 				// Accept the feasible neighbor (it's either better or accepted by probability)
 				this.currentState = neighborState;
 				currentFullCost = neighborFullCost;
@@ -256,7 +340,8 @@ class PortalSolver {
 			if (iter % this.iterationsPerUpdate === 0) {
 				// Report the cost of the *best* feasible state found so far
 				this.progressCallback(iter, stage2Iterations, temperature, this.minCost);
-				await new Promise((resolve) => setTimeout(resolve, 0)); // Yield to browser
+				await this.yieldToEventLoop(); // Yield to browser
+				if (this.cancelRequested) break;
 			}
 
 			// Stop if temperature is too low for effective optimization
@@ -283,10 +368,15 @@ class PortalSolver {
 			finalResult.message =
 				(finalResult.message || 'Optimization finished.') +
 				` (Internal Error: Final state has ${finalViolations} violations)`;
+		} else if (this.cancelRequested) {
+			finalResult.message = 'Cancelled during Stage 2: Best solution found so far shown (not fully optimized).';
+			finalResult.cancelled = true;
 		} else if (finalResult.success) {
 			finalResult.message = 'Solution found and optimized.'; // More positive message on success
 		}
 
+		finalResult.paretoSolutions = this.describeParetoSolutions(archive);
+
 		// Update portal objects in the original problem definition with the final positions for output
 		for (const name in this.bestState) {
 			if (this.problem.portals[name]) {
@@ -300,6 +390,55 @@ class PortalSolver {
 		return finalResult;
 	}
 
+	// Alternatives for the result: the best state first, then the other archived layouts by weighted cost,
+	// with the distance of every goal. Empty unless the goals actually pull in different directions.
+	describeParetoSolutions(archive) {
+		const labels = this.getObjectiveLabels();
+		const bestCost = this.calculateCost(this.bestState, 1.0);
+		const best = { state: this.bestState, objectives: this.lastObjectives, cost: bestCost };
+		const others = archive
+			.sorted()
+			.filter(
+				(entry) =>
+					!ParetoArchive.dominates(best.objectives, entry.objectives) &&
+					entry.objectives.some((value, i) => value !== best.objectives[i])
+			);
+		const entries = [best, ...others];
+		if (labels.length < 2 || entries.length < 2) return [];
+
+		return entries.map((entry) => {
+			const objectives = {};
+			labels.forEach((label, i) => {
+				objectives[label] = Number(Math.sqrt(entry.objectives[i]).toFixed(2)); // Distances, not squares
+			});
+			return { solution: entry.state, cost: Number(entry.cost.toFixed(2)), objectives: objectives };
+		});
+	}
+
+	// Result without a layout, with every field formatSolutionText and the UI read. extra adds flags like
+	// cancelled or infeasible.
+	emptyResult(message, extra = {}) {
+		return {
+			solution: null,
+			success: false,
+			...extra,
+			message: message,
+			seed: this.seed,
+			violatedLinks: [],
+			violatedForbiddenLinks: [],
+			violatedPositions: [],
+			violatedRelativeConstraints: [],
+			optimizationDistances: {},
+			linkDistances: {},
+			actualLinks: [],
+			linkMargins: {},
+			entryHeatmaps: [],
+			paretoSolutions: [],
+			generatedPortals: [],
+			warnings: [...this.problem.warnings],
+		};
+	}
+
 	// --- State Management & Initialization ---
 
 	copyState(state) {
@@ -311,18 +450,22 @@ class PortalSolver {
 	}
 
 	initializeState() {
-		const initialState = {};
+		let initialState = {};
 		for (const name of this.portalNames) {
 			const portal = this.problem.portals[name];
+			if (portal.fixed) {
+				initialState[name] = copyVec3(portal.pos);
+				continue;
+			}
 			let foundPos = false;
 			// Try up to 100 random positions within the first inclusive constraint
 			for (let attempt = 0; attempt < 100; attempt++) {
 				const incConstraint =
-					portal.constraints.inclusive[randomInt(0, portal.constraints.inclusive.length - 1)];
+					portal.constraints.inclusive[randomInt(0, portal.constraints.inclusive.length - 1, this.random)];
 				const pos = vec3(
-					randomInt(incConstraint.min.x, incConstraint.max.x),
-					randomInt(incConstraint.min.y, incConstraint.max.y),
-					randomInt(incConstraint.min.z, incConstraint.max.z)
+					randomInt(incConstraint.min.x, incConstraint.max.x, this.random),
+					randomInt(incConstraint.min.y, incConstraint.max.y, this.random),
+					randomInt(incConstraint.min.z, incConstraint.max.z, this.random)
 				);
 				if (this.satisfiesPositionConstraints(portal, pos)) {
 					initialState[name] = pos;
@@ -335,6 +478,11 @@ class PortalSolver {
 				return false; // Cannot initialize
 			}
 		}
+		// Start with OFFSET and SAME_Y partners in place where their boxes allow it, fixed portals lead
+		const fixedNames = this.portalNames.filter((name) => this.problem.portals[name].fixed);
+		for (const name of [...fixedNames, ...this.movablePortalNames]) {
+			initialState = this.movePortal(initialState, name, initialState[name]) || initialState;
+		}
 		this.currentState = initialState;
 		return true;
 	}
@@ -342,24 +490,25 @@ class PortalSolver {
 	// --- Neighbor Generation ---
 
 	generateNeighbor(state, isStage1 = false) {
-		const newState = this.copyState(state);
-		const portalName = this.portalNames[randomInt(0, this.portalNames.length - 1)];
+		if (this.movablePortalNames.length === 0) return null; // Every portal is fixed
+
+		const portalName = this.movablePortalNames[randomInt(0, this.movablePortalNames.length - 1, this.random)];
 		const portal = this.problem.portals[portalName];
-		const currentPos = newState[portalName];
+		const currentPos = state[portalName];
 
 		// --- Stage 1: Potential Large Jump ---
-		if (isStage1 && Math.random() < this.stage1LargeJumpChance) {
+		if (isStage1 && this.random() < this.stage1LargeJumpChance) {
 			// Try to find a new random valid position
 			for (let jumpAttempt = 0; jumpAttempt < 10; jumpAttempt++) {
 				// Try a few times
 				// Pick a random inclusive constraint for this portal
 				if (portal.constraints.inclusive.length === 0) break; // Should not happen based on parser validation
 				const incConstraint =
-					portal.constraints.inclusive[randomInt(0, portal.constraints.inclusive.length - 1)];
+					portal.constraints.inclusive[randomInt(0, portal.constraints.inclusive.length - 1, this.random)];
 				const randomPos = vec3(
-					randomInt(incConstraint.min.x, incConstraint.max.x),
-					randomInt(incConstraint.min.y, incConstraint.max.y),
-					randomInt(incConstraint.min.z, incConstraint.max.z)
+					randomInt(incConstraint.min.x, incConstraint.max.x, this.random),
+					randomInt(incConstraint.min.y, incConstraint.max.y, this.random),
+					randomInt(incConstraint.min.z, incConstraint.max.z, this.random)
 				);
 
 				// Check if this random position is valid (not in any exclusive box)
@@ -380,8 +529,8 @@ class PortalSolver {
 
 				if (!isInExclusive) {
 					// console.log(`Stage 1 Large Jump: ${portalName} to (${randomPos.x}, ${randomPos.y}, ${randomPos.z})`);
-					newState[portalName] = randomPos;
-					return newState; // Return the state with the large jump
+					const jumped = this.movePortal(state, portalName, randomPos);
+					if (jumped) return jumped; // Return the state with the large jump
 				}
 			}
 			// If large jump failed to find valid spot after attempts, fall through to small move
@@ -391,9 +540,9 @@ class PortalSolver {
 		const moveRange = 3;
 		for (let attempt = 0; attempt < 50; ++attempt) {
 			const move = vec3(
-				randomInt(-moveRange, moveRange),
-				randomInt(-moveRange, moveRange),
-				randomInt(-moveRange, moveRange)
+				randomInt(-moveRange, moveRange, this.random),
+				randomInt(-moveRange, moveRange, this.random),
+				randomInt(-moveRange, moveRange, this.random)
 			);
 			if (move.x === 0 && move.y === 0 && move.z === 0) continue;
 
@@ -432,9 +581,9 @@ class PortalSolver {
 			}
 			if (isInExclusive) continue;
 
-			// Valid small move found
-			newState[portalName] = nextPos;
-			return newState;
+			// Valid small move found, unless a tied portal can't follow
+			const moved = this.movePortal(state, portalName, nextPos);
+			if (moved) return moved;
 		}
 
 		return null; // Failed to generate any valid neighbor
@@ -443,6 +592,10 @@ class PortalSolver {
 	// --- Constraint Checking & Cost Calculation ---
 
 	satisfiesPositionConstraints(portal, pos) {
+		if (portal.fixed) {
+			return pos.x === portal.pos.x && pos.y === portal.pos.y && pos.z === portal.pos.z;
+		}
+
 		let isInInclusive = false;
 		for (const inc of portal.constraints.inclusive) {
 			if (
@@ -474,72 +627,219 @@ class PortalSolver {
 		return true; // Satisfies all position constraints
 	}
 
-	// The complex linking check
-	checkActualLink(sourcePortalName, expectedDestPortalName, currentState) {
-		const sourcePortal = this.problem.portals[sourcePortalName];
-		const sourcePos = currentState[sourcePortalName];
-		const destDim = this.problem.portals[expectedDestPortalName].dim;
+	// --- Relative Constraints ---
 
-		const testPositions = getEntityTestPositions(sourcePos, sourcePortal.face, this.problem.entitySize);
-		const coordScale = getCoordScale(destDim);
-		const searchRadius = getSearchRadius(destDim);
-
-		for (const entityPos of testPositions) {
-			// 1. & 2. Scale position
-			const Pd = scaleVec3XZ(entityPos, coordScale);
-			// 4. Floor
-			const Bd = floorVec3(Pd);
+	// Copy of the state with a portal moved to pos. Portals tied to it by OFFSET or SAME_Y follow (and the
+	// ones tied to those in turn). Returns null if one of them can't: it is fixed or would leave its POS boxes.
+	movePortal(state, portalName, pos) {
+		const newState = this.copyState(state);
+		newState[portalName] = copyVec3(pos);
+		if (this.tiedConstraints.length === 0) return newState;
+
+		const moved = new Set([portalName]);
+		const queue = [portalName];
+		while (queue.length > 0) {
+			const name = queue.shift();
+			for (const constraint of this.tiedConstraints) {
+				if (constraint.p1 !== name && constraint.p2 !== name) continue;
+				const other = constraint.p1 === name ? constraint.p2 : constraint.p1;
+				const from = newState[name];
+				let target;
+				if (constraint.type === 'SAME_Y') {
+					target = vec3(newState[other].x, from.y, newState[other].z);
+				} else {
+					const sign = constraint.p1 === name ? 1 : -1;
+					const offset = constraint.offset;
+					target = vec3(from.x + sign * offset.x, from.y + sign * offset.y, from.z + sign * offset.z);
+				}
+				if (
+					target.x === newState[other].x &&
+					target.y === newState[other].y &&
+					target.z === newState[other].z
+				) {
+					continue;
+				}
+				const otherPortal = this.problem.portals[other];
+				if (moved.has(other) || otherPortal.fixed || !this.satisfiesPositionConstraints(otherPortal, target)) {
+					return null;
+				}
+				newState[other] = target;
+				moved.add(other);
+				queue.push(other);
+			}
+		}
+		return newState;
+	}
 
-			// 6. Get portals in destination dimension within search area
-			let potentialTargets = [];
-			for (const name in currentState) {
-				const potentialPortal = this.problem.portals[name];
-				if (potentialPortal.dim !== destDim) continue;
+	// How far a layout is from satisfying a NEAR, FAR, SAME_Y or OFFSET constraint, 0 if it does.
+	// Distances are measured like the OPTIMIZE goals, in Overworld blocks.
+	getRelativeViolation(constraint, state) {
+		const pos1 = state[constraint.p1];
+		const pos2 = state[constraint.p2];
+		if (constraint.type === 'SAME_Y') return Math.abs(pos1.y - pos2.y);
+		if (constraint.type === 'OFFSET') {
+			const target = addVec3(pos1, constraint.offset);
+			return Math.abs(pos2.x - target.x) + Math.abs(pos2.y - target.y) + Math.abs(pos2.z - target.z);
+		}
 
-				const C = currentState[name]; // Potential target position
+		const portalData = {
+			[constraint.p1]: { dim: this.problem.portals[constraint.p1].dim, pos: pos1 },
+			[constraint.p2]: { dim: this.problem.portals[constraint.p2].dim, pos: pos2 },
+		};
+		const dSq = calculateOptimizationDistanceSq({ name: constraint.p1 }, { name: constraint.p2 }, portalData);
+		const limitSq = constraint.distance * constraint.distance;
+		if (constraint.type === 'NEAR') return dSq <= limitSq ? 0 : Math.sqrt(dSq) - constraint.distance;
+		return dSq >= limitSq ? 0 : constraint.distance - Math.sqrt(dSq); // FAR
+	}
 
-				// Check if within square search area
-				if (Math.abs(C.x - Bd.x) <= searchRadius && Math.abs(C.z - Bd.z) <= searchRadius) {
-					potentialTargets.push({ name: name, pos: C });
-				}
+	// Floored, scaled destination positions (Bd) for every entity test position of a source portal,
+	// for all given entity profiles
+	getDestinationSearchPoints(sourcePortalName, sourcePos, destDim, profiles = [Constants.DEFAULT_ENTITY_PROFILE]) {
+		const sourcePortal = this.problem.portals[sourcePortalName];
+		const coordScale = this.model.coordScale(destDim);
+		const searchPoints = [];
+
+		for (const profileName of profiles) {
+			const profile = this.entityProfiles[profileName];
+			const testPositions = getEntityTestPositions(
+				sourcePos,
+				sourcePortal.face,
+				profile.width,
+				sourcePortal.width,
+				sourcePortal.height,
+				addVec3(this.model.entityOffset, vec3(0, profile.offsetY, 0))
+			);
+			for (const entityPos of testPositions) {
+				// 1. & 2. Scale position
+				const Pd = scaleVec3XZ(entityPos, coordScale);
+				// 4. Floor
+				searchPoints.push(floorVec3(Pd));
 			}
+		}
+		return searchPoints;
+	}
 
-			if (potentialTargets.length === 0) {
-				// console.warn(`Link check failed for ${sourcePortalName}: No portals found in search radius for test pos ${JSON.stringify(entityPos)} -> Bd ${JSON.stringify(Bd)}`);
-				return false; // No portal found for this entity position
+	// Find the portal the game would pick for a destination position Bd, or null if none is in range.
+	// portals can include portals that are not part of the problem, e.g. predicted generated portals.
+	findClosestPortal(Bd, destDim, currentState, portals = this.problem.portals) {
+		// 6. Get portals in destination dimension within search area
+		let potentialTargets = [];
+		for (const name in currentState) {
+			const potentialPortal = portals[name];
+			if (potentialPortal.dim !== destDim) continue;
+
+			// Potential target position: the portal block closest to Bd
+			const C = closestPortalBlock(Bd, currentState[name], potentialPortal);
+
+			// Check if within search area
+			if (this.model.inSearchArea(C, Bd, destDim)) {
+				potentialTargets.push({ name: name, pos: C });
 			}
+		}
 
-			// 7. Find closest portal
-			let closestPortalName = null;
-			let minDistanceSq = Infinity;
-			let minY = Infinity;
-
-			for (const target of potentialTargets) {
-				const distSqVal = distSq(Bd, target.pos);
+		if (potentialTargets.length === 0) {
+			return null; // No portal found for this entity position
+		}
 
-				if (distSqVal < minDistanceSq) {
-					minDistanceSq = distSqVal;
-					minY = target.pos.y;
+		// 7. Find closest portal
+		let closestPortalName = null;
+		let closestPos = null;
+		let minDistanceSq = Infinity;
+
+		for (const target of potentialTargets) {
+			const distSqVal = this.model.distanceSq(Bd, target.pos);
+
+			if (distSqVal < minDistanceSq) {
+				minDistanceSq = distSqVal;
+				closestPos = target.pos;
+				closestPortalName = target.name;
+			} else if (distSqVal === minDistanceSq) {
+				// 8. Tie-breaker of the version (lower Y for Java)
+				if (this.model.compareTies(target.pos, closestPos) < 0) {
+					closestPos = target.pos;
 					closestPortalName = target.name;
-				} else if (distSqVal === minDistanceSq) {
-					// 8. Tie-breaker: lower Y
-					if (target.pos.y < minY) {
-						minY = target.pos.y;
-						closestPortalName = target.name;
-					}
 				}
 			}
+		}
+
+		return closestPortalName;
+	}
 
+	// The complex linking check
+	checkActualLink(sourcePortalName, expectedDestPortalName, currentState, profiles) {
+		const destDim = this.problem.portals[expectedDestPortalName].dim;
+		const searchPoints = this.getDestinationSearchPoints(
+			sourcePortalName,
+			currentState[sourcePortalName],
+			destDim,
+			profiles
+		);
+
+		for (const Bd of searchPoints) {
 			// 9. Check if the closest is the expected one
-			if (closestPortalName !== expectedDestPortalName) {
-				// console.warn(`Link check failed: ${sourcePortalName} -> ${closestPortalName} (expected ${expectedDestPortalName}) for entity pos ${JSON.stringify(entityPos)}`);
-				return false; // This entity position links incorrectly
+			if (this.findClosestPortal(Bd, destDim, currentState) !== expectedDestPortalName) {
+				return false; // This entity position links incorrectly (or finds no portal at all)
 			}
 		}
 
 		return true; // All test positions linked correctly
 	}
 
+	// Safety margin of a desired link in blocks: for each entity search point, how much farther the closest
+	// other portal in range is than the destination. Returns the weakest search point as { margin, runnerUp }.
+	// The margin is Infinity if no other portal is ever in range, negative (or 0 on a lost tie) if the link
+	// is broken and -Infinity if the destination is out of range.
+	getLinkMargin(link, state) {
+		const destDim = this.problem.portals[link.dest].dim;
+		const distanceInRange = (Bd, name) => {
+			const C = closestPortalBlock(Bd, state[name], this.problem.portals[name]);
+			return this.model.inSearchArea(C, Bd, destDim) ? Math.sqrt(this.model.distanceSq(Bd, C)) : Infinity;
+		};
+
+		let weakest = { margin: Infinity, runnerUp: null };
+		for (const Bd of this.getDestinationSearchPoints(link.source, state[link.source], destDim, link.profiles)) {
+			let runnerUp = null;
+			let runnerUpDistance = Infinity;
+			for (const name in state) {
+				if (name === link.dest || this.problem.portals[name].dim !== destDim) continue;
+				const distance = distanceInRange(Bd, name);
+				if (distance < runnerUpDistance) {
+					runnerUpDistance = distance;
+					runnerUp = name;
+				}
+			}
+			const destDistance = distanceInRange(Bd, link.dest);
+			const margin = destDistance === Infinity ? -Infinity : runnerUpDistance - destDistance;
+			if (margin < weakest.margin) weakest = { margin, runnerUp };
+		}
+		return weakest;
+	}
+
+	// LINK <source> NEW: no entity test position may find a portal, so the game generates a new one
+	checkGeneratesPortal(sourcePortalName, destDim, currentState, profiles) {
+		const searchPoints = this.getDestinationSearchPoints(
+			sourcePortalName,
+			currentState[sourcePortalName],
+			destDim,
+			profiles
+		);
+
+		return searchPoints.every((Bd) => this.findClosestPortal(Bd, destDim, currentState) === null);
+	}
+
+	// Whether any entity test position of the source portal leads to the given portal (NOLINK check)
+	leadsToPortal(sourcePortalName, destPortalName, currentState, profiles) {
+		const destDim = this.problem.portals[destPortalName].dim;
+		const searchPoints = this.getDestinationSearchPoints(
+			sourcePortalName,
+			currentState[sourcePortalName],
+			destDim,
+			profiles
+		);
+
+		return searchPoints.some((Bd) => this.findClosestPortal(Bd, destDim, currentState) === destPortalName);
+	}
+
 	calculateCost(state, optimizationWeightMultiplier = 1.0) {
 		let cost = 0;
 		let linkViolations = 0;
@@ -550,7 +850,18 @@ class PortalSolver {
 		const linkPenaltyFactor = optimizationWeightMultiplier > 0 ? 10000000000 : 1.0; // Even larger penalty for stage 2
 
 		for (const link of this.problem.desiredLinks) {
-			if (!this.checkActualLink(link.source, link.dest, state)) {
+			if (!this.checkActualLink(link.source, link.dest, state, link.profiles)) {
+				linkViolations++;
+			}
+		}
+		// NOLINK and LINK ... NEW constraints count as link violations too
+		for (const link of this.problem.forbiddenLinks) {
+			if (this.leadsToPortal(link.source, link.dest, state, link.profiles)) {
+				linkViolations++;
+			}
+		}
+		for (const link of this.problem.newPortalLinks) {
+			if (!this.checkGeneratesPortal(link.source, link.destDim, state, link.profiles)) {
 				linkViolations++;
 			}
 		}
@@ -565,6 +876,16 @@ class PortalSolver {
 		}
 		cost += posViolations * posPenalty;
 
+		// NEAR, FAR, SAME_Y and OFFSET are hard constraints like POS. Stage 1 counts them like link violations,
+		// Stage 2 grades them by how far off they are.
+		for (const constraint of this.problem.relativeConstraints) {
+			const violation = this.getRelativeViolation(constraint, state);
+			if (violation > 0) {
+				posViolations++;
+				cost += optimizationWeightMultiplier > 0 ? posPenalty * (1 + violation) : 1;
+			}
+		}
+
 		// --- Add Optimization Distances (Only if weight > 0) ---
 		if (optimizationWeightMultiplier > 0) {
 			let totalWeightedOptimizationDistanceSq = 0;
@@ -572,6 +893,8 @@ class PortalSolver {
 			for (const name in this.problem.portals) {
 				currentPortalData[name] = { ...this.problem.portals[name], pos: state[name] };
 			}
+			// Unweighted goal terms, in the order of getObjectiveLabels, for the Pareto archive
+			const objectives = [];
 			for (const pair of this.problem.optimizationPairs) {
 				let distSq = 0;
 				if (pair.type === 'portal') {
@@ -579,12 +902,27 @@ class PortalSolver {
 				} else if (pair.type === 'position') {
 					distSq += calculateOptimizationDistancePosSq({ name: pair.p1 }, pair.p2, currentPortalData);
 				}
+				objectives.push(distSq);
 
 				// Apply the individual weight for this pair
 				// Also multiply by the overall optimizationWeightMultiplier (usually 1.0 in Stage 2)
 				totalWeightedOptimizationDistanceSq += distSq * pair.weight * optimizationWeightMultiplier;
 			}
 			cost += totalWeightedOptimizationDistanceSq;
+
+			// OPTIMIZE_MARGIN: squared shortfall of each link's margin, margins beyond the search radius
+			// of the destination dimension count as fully safe
+			if (this.problem.marginWeight > 0) {
+				let shortfallSq = 0;
+				for (const link of this.problem.desiredLinks) {
+					const limit = this.model.searchRadius(this.problem.portals[link.dest].dim);
+					const margin = clamp(this.getLinkMargin(link, state).margin, -limit, limit);
+					shortfallSq += (limit - margin) ** 2;
+				}
+				objectives.push(shortfallSq);
+				cost += shortfallSq * this.problem.marginWeight * optimizationWeightMultiplier;
+			}
+			this.lastObjectives = objectives;
 		}
 
 		// Store violation counts for checking
@@ -596,15 +934,35 @@ class PortalSolver {
 
 	// --- Verification and Output Formatting ---
 
+	// Names of the goal terms of calculateCost: every OPTIMIZE line, then OPTIMIZE_MARGIN
+	getObjectiveLabels() {
+		const labels = this.problem.optimizationPairs.map((pair) =>
+			pair.type === 'portal'
+				? `${pair.p1} <-> ${pair.p2}`
+				: `${pair.p1} <-> [${pair.p2.x},${pair.p2.y},${pair.p2.z}]`
+		);
+		if (this.problem.marginWeight > 0) labels.push('Link margin shortfall');
+		return labels;
+	}
+
 	verifySolution(state) {
 		const results = {
 			solution: state,
 			success: true,
 			message: 'Solution found.',
+			seed: this.seed,
 			violatedLinks: [],
+			violatedForbiddenLinks: [],
 			violatedPositions: [],
+			violatedRelativeConstraints: [],
 			optimizationDistances: {},
 			linkDistances: {}, // Store actual calculated link distances
+			actualLinks: [], // Where each portal actually leads
+			linkMargins: {}, // How far each LINK destination leads over the runner-up portal
+			entryHeatmaps: [], // Destinations reached from all over each LINK source's surface
+			paretoSolutions: [], // Non-dominated alternatives for several OPTIMIZE goals, best weighted cost first
+			generatedPortals: [], // Predicted portals for LINK ... NEW
+			warnings: [...this.problem.warnings], // Input warnings from the parser come first
 		};
 
 		// Check position constraints
@@ -615,11 +973,44 @@ class PortalSolver {
 			}
 		}
 
+		// Check relative constraints (NEAR, FAR, SAME_Y, OFFSET)
+		for (const constraint of this.problem.relativeConstraints) {
+			if (this.getRelativeViolation(constraint, state) > 0) {
+				results.success = false;
+				results.violatedRelativeConstraints.push(formatRelativeConstraint(constraint));
+			}
+		}
+
 		// Check link constraints
 		for (const link of this.problem.desiredLinks) {
-			if (!this.checkActualLink(link.source, link.dest, state)) {
+			const broken = link.profiles.filter(
+				(profile) => !this.checkActualLink(link.source, link.dest, state, [profile])
+			);
+			if (broken.length > 0) {
+				results.success = false;
+				results.violatedLinks.push(`${link.source} -> ${link.dest}${this.describeProfiles(broken)}`);
+			}
+		}
+
+		// Check links that should generate a new portal (LINK ... NEW)
+		for (const link of this.problem.newPortalLinks) {
+			const broken = link.profiles.filter(
+				(profile) => !this.checkGeneratesPortal(link.source, link.destDim, state, [profile])
+			);
+			if (broken.length > 0) {
+				results.success = false;
+				results.violatedLinks.push(`${link.source} -> NEW${this.describeProfiles(broken)}`);
+			}
+		}
+
+		// Check forbidden links (NOLINK)
+		for (const link of this.problem.forbiddenLinks) {
+			const broken = link.profiles.filter((profile) =>
+				this.leadsToPortal(link.source, link.dest, state, [profile])
+			);
+			if (broken.length > 0) {
 				results.success = false;
-				results.violatedLinks.push(`${link.source} -> ${link.dest}`);
+				results.violatedForbiddenLinks.push(`${link.source} -/-> ${link.dest}${this.describeProfiles(broken)}`);
 			}
 		}
 
@@ -628,9 +1019,15 @@ class PortalSolver {
 			if (results.violatedPositions.length > 0) {
 				results.message += ` Portals violating position constraints: ${results.violatedPositions.join(', ')}.`;
 			}
+			if (results.violatedRelativeConstraints.length > 0) {
+				results.message += ` Relative constraints violated: ${results.violatedRelativeConstraints.join('; ')}.`;
+			}
 			if (results.violatedLinks.length > 0) {
 				results.message += ` Desired links not satisfied: ${results.violatedLinks.join('; ')}.`;
 			}
+			if (results.violatedForbiddenLinks.length > 0) {
+				results.message += ` Forbidden links taken: ${results.violatedForbiddenLinks.join('; ')}.`;
+			}
 		}
 
 		// Calculate final optimization distances
@@ -658,10 +1055,93 @@ class PortalSolver {
 
 		// Calculate inter-dimensional link search distances (using center point)
 		results.linkDistances = this.calculateAllLinkDistances(state);
+		results.actualLinks = this.calculateActualLinks(state);
+		for (const link of this.problem.desiredLinks) {
+			const { margin, runnerUp } = this.getLinkMargin(link, state);
+			results.linkMargins[`${link.source} -> ${link.dest}`] = {
+				margin: Number.isFinite(margin) ? Number(margin.toFixed(2)) : null, // null: unopposed or out of range
+				runnerUp: runnerUp,
+				// Same check as violatedLinks, a margin of 0 can lose the tie-break
+				broken: !this.checkActualLink(link.source, link.dest, state, link.profiles),
+			};
+		}
+		results.entryHeatmaps = this.calculateEntryHeatmaps(state);
+
+		this.analyzeGeneratedPortals(state, results);
 
 		return results;
 	}
 
+	// Names the entity profiles that broke a link, nothing for links checked with ENTITY_SIZE only
+	describeProfiles(profiles) {
+		if (profiles.length === 1 && profiles[0] === Constants.DEFAULT_ENTITY_PROFILE) return '';
+		return ` (broken for ${profiles.join(', ')})`;
+	}
+
+	// Predict the portals generated for LINK ... NEW and warn about links that depend on portals that
+	// don't exist yet: links a generated portal would take over, and FIXED (existing) portals whose
+	// destination still has to be built, so using them early generates a stray portal.
+	analyzeGeneratedPortals(state, results) {
+		const extendedState = { ...state };
+		const extendedPortals = { ...this.problem.portals };
+
+		for (const link of this.problem.newPortalLinks) {
+			const prediction = predictGeneratedPortal(
+				this.problem.portals[link.source],
+				state[link.source],
+				link.destDim,
+				this.model
+			);
+			extendedState[prediction.portal.name] = prediction.pos;
+			extendedPortals[prediction.portal.name] = prediction.portal;
+			results.generatedPortals.push(prediction);
+		}
+
+		for (const prediction of results.generatedPortals) {
+			// Return trip from the center of the generated portal
+			const returnDim = this.problem.portals[prediction.source].dim;
+			const entityPos = getPortalCenter(prediction.pos, prediction.portal);
+			const Bd = floorVec3(scaleVec3XZ(entityPos, this.model.coordScale(returnDim)));
+			prediction.returnDest = this.findClosestPortal(Bd, returnDim, extendedState, extendedPortals);
+			if (prediction.returnDest !== prediction.source) {
+				const returnName = prediction.returnDest || 'a new portal';
+				results.warnings.push(
+					`The portal generated by ${prediction.source} leads back to ${returnName}, not ${prediction.source}.`
+				);
+			}
+		}
+
+		const generatedNames = new Set(results.generatedPortals.map((prediction) => prediction.portal.name));
+		for (const link of this.problem.desiredLinks) {
+			if (generatedNames.size > 0) {
+				const destDim = this.problem.portals[link.dest].dim;
+				const searchPoints = this.getDestinationSearchPoints(
+					link.source,
+					state[link.source],
+					destDim,
+					link.profiles
+				);
+				const takenBy = searchPoints
+					.map((Bd) => this.findClosestPortal(Bd, destDim, extendedState, extendedPortals))
+					.find((name) => generatedNames.has(name));
+				if (takenBy) {
+					results.warnings.push(
+						`LINK ${link.source} -> ${link.dest} only works until the portal for LINK ${takenBy} is generated.`
+					);
+				}
+			}
+
+			const source = this.problem.portals[link.source];
+			const dest = this.problem.portals[link.dest];
+			if (source.fixed && !dest.fixed) {
+				const prediction = predictGeneratedPortal(source, state[link.source], dest.dim, this.model);
+				results.warnings.push(
+					`LINK ${link.source} -> ${link.dest} needs ${link.dest} to be built first. Until then ${link.source} generates a new portal near (${prediction.pos.x}, ${prediction.pos.y}, ${prediction.pos.z}).`
+				);
+			}
+		}
+	}
+
 	// Calculate the distance used by the linking algorithm (from Bd to C) for all O<->N pairs
 	calculateAllLinkDistances(state) {
 		const linkDistances = {};
@@ -685,16 +1165,16 @@ class PortalSolver {
 				const sourcePortal = portal1;
 				const sourcePos = pos1;
 				const destPortal = portal2;
-				const destPos = pos2;
 				const destDim = destPortal.dim;
 
 				// Use only the center entity position for this calculation
-				const entityPosCenter = addVec3(sourcePos, Constants.ENTITY_DECIMAL_OFFSET);
-				const coordScale = getCoordScale(destDim);
+				const entityPosCenter = getPortalCenter(sourcePos, sourcePortal);
+				const coordScale = this.model.coordScale(destDim);
 				const Pd = scaleVec3XZ(entityPosCenter, coordScale);
 				const Bd = floorVec3(Pd);
 
-				// Calculate distance squared from Bd to the actual destination portal C
+				// Calculate distance squared from Bd to the closest block of the destination portal C
+				const destPos = closestPortalBlock(Bd, pos2, destPortal);
 				const distSqVal = distSq(Bd, destPos);
 
 				const key = `${p1Name} (${portal1.dim}) -> ${p2Name} (${portal2.dim})`;
@@ -708,4 +1188,118 @@ class PortalSolver {
 		}
 		return linkDistances;
 	}
+
+	// Destinations reached from a grid of entity positions covering the portal's surface, with `resolution`
+	// samples per block along its width and height. Returns rows from the top of the portal down, each listing
+	// the destination names from the portal's lowest X/Z corner on (null where a new portal is generated).
+	sampleEntrySurface(sourceName, state, resolution = Constants.ENTRY_SAMPLES_PER_BLOCK) {
+		const portal = this.problem.portals[sourceName];
+		const pos = state[sourceName];
+		const destDim = getOtherDimension(portal.dim);
+		const coordScale = this.model.coordScale(destDim);
+		const offset = this.model.entityOffset;
+		const destinations = new Map(); // Samples in the same block share their search point
+
+		const rows = [];
+		for (let row = portal.height * resolution - 1; row >= 0; row--) {
+			const samples = [];
+			for (let column = 0; column < portal.width * resolution; column++) {
+				const along = (column + 0.5) / resolution;
+				const up = (row + 0.5) / resolution + offset.y;
+				const entityPos =
+					portal.face === 'X'
+						? vec3(pos.x + offset.x, pos.y + up, pos.z + along)
+						: vec3(pos.x + along, pos.y + up, pos.z + offset.z);
+				const Bd = floorVec3(scaleVec3XZ(entityPos, coordScale));
+				const key = `${Bd.x},${Bd.y},${Bd.z}`;
+				if (!destinations.has(key)) destinations.set(key, this.findClosestPortal(Bd, destDim, state));
+				samples.push(destinations.get(key));
+			}
+			rows.push(samples);
+		}
+		return rows;
+	}
+
+	// Entry heatmap of every LINK (including LINK ... NEW): the sampled surface of the source portal and
+	// the fraction of samples that reach the intended destination (null for a new portal)
+	calculateEntryHeatmaps(state) {
+		const links = [
+			...this.problem.desiredLinks.map((link) => ({ source: link.source, dest: link.dest })),
+			...this.problem.newPortalLinks.map((link) => ({ source: link.source, dest: null })),
+		];
+		return links.map((link) => {
+			const rows = this.sampleEntrySurface(link.source, state);
+			const samples = rows.flat();
+			const safe = samples.filter((dest) => dest === link.dest).length;
+			return {
+				source: link.source,
+				dest: link.dest,
+				resolution: Constants.ENTRY_SAMPLES_PER_BLOCK,
+				rows: rows,
+				safeFraction: safe / samples.length,
+			};
+		});
+	}
+
+	// Actual link graph: where entering each portal leads, from the entity test positions of every ENTITY
+	// profile (null when nothing is found and a new portal is generated), plus the center search point.
+	// Each entry lists its declared destinations and notes about links worth checking:
+	// portals without a LINK that split or don't lead back, and one-way links whose return trip goes elsewhere.
+	calculateActualLinks(state) {
+		const profiles = Object.keys(this.entityProfiles);
+		const actualLinks = [];
+		for (const name in state) {
+			const portal = this.problem.portals[name];
+			const destDim = getOtherDimension(portal.dim);
+			const searchPoints = this.getDestinationSearchPoints(name, state[name], destDim, profiles);
+			const entityPosCenter = getPortalCenter(state[name], portal);
+			actualLinks.push({
+				source: name,
+				destDim: destDim,
+				Bd: floorVec3(scaleVec3XZ(entityPosCenter, this.model.coordScale(destDim))),
+				searchRadius: this.model.searchRadius(destDim),
+				dests: [...new Set(searchPoints.map((Bd) => this.findClosestPortal(Bd, destDim, state)))],
+				declaredDests: [
+					...this.problem.desiredLinks.filter((link) => link.source === name).map((link) => link.dest),
+					...this.problem.newPortalLinks.filter((link) => link.source === name).map(() => null),
+				],
+				notes: [],
+				highlight: false,
+			});
+		}
+
+		const linksBySource = Object.fromEntries(actualLinks.map((link) => [link.source, link]));
+		for (const link of actualLinks) {
+			const declared = link.declaredDests.length > 0;
+			const unexpected = link.dests.filter((dest) => !link.declaredDests.includes(dest));
+			if (declared && unexpected.length > 0) {
+				link.notes.push(`not declared: ${unexpected.map((dest) => dest || 'new portal').join(', ')}`);
+			}
+			if (link.dests.length > 1) link.notes.push('split between destinations');
+
+			// Return trips, for links to a single existing portal
+			const dest = link.dests.length === 1 ? link.dests[0] : null;
+			const returnLink = dest && linksBySource[dest];
+			let oneWay = false;
+			if (returnLink && !(returnLink.dests.length === 1 && returnLink.dests[0] === link.source)) {
+				// Declared on both ends (LINK A B, LINK B C) the detour is intended
+				const returnDeclared = returnLink.dests.every((returnDest) =>
+					returnLink.declaredDests.includes(returnDest)
+				);
+				oneWay = !(declared && returnDeclared);
+				const returnNames = returnLink.dests.map((returnDest) => returnDest || 'a new portal').join(', ');
+				link.notes.push(`one-way: ${dest} leads to ${returnNames}`);
+			}
+			if (!declared && dest) link.notes.push('no LINK declared');
+
+			link.highlight = declared
+				? unexpected.length > 0 || oneWay
+				: link.dests.length > 1 || oneWay || (dest !== null && this.problem.portals[dest].foreign === true);
+		}
+		return actualLinks;
+	}
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { PortalSolver };
 }
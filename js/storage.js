@@ -0,0 +1,122 @@
+// js/storage.js
+
+// Problem persistence: the current input and last result in localStorage, named saved problems,
+// and share links that carry a problem (optionally with its solution and seed) in the URL fragment.
+// Stored entries are { text, seed, result, savedAt }, seed being the Seed field text.
+
+const STORAGE_KEYS = {
+	current: 'netherPortalSolver.current',
+	saved: 'netherPortalSolver.saved',
+};
+
+// Fragment prefixes: deflate compressed, or plain where CompressionStream is not available
+const SHARE_PREFIX_COMPRESSED = 'p=';
+const SHARE_PREFIX_PLAIN = 't=';
+
+function readStorage(key, fallback) {
+	try {
+		const value = localStorage.getItem(key);
+		return value === null ? fallback : JSON.parse(value);
+	} catch (error) {
+		console.warn(`Could not read ${key} from localStorage:`, error);
+		return fallback;
+	}
+}
+
+// Returns false if the value could not be stored (storage disabled or full)
+function writeStorage(key, value) {
+	try {
+		localStorage.setItem(key, JSON.stringify(value));
+		return true;
+	} catch (error) {
+		console.warn(`Could not write ${key} to localStorage:`, error);
+		return false;
+	}
+}
+
+function saveCurrentProblem(entry) {
+	return writeStorage(STORAGE_KEYS.current, { ...entry, savedAt: new Date().toISOString() });
+}
+
+function loadCurrentProblem() {
+	return readStorage(STORAGE_KEYS.current, null);
+}
+
+function listSavedProblems() {
+	return Object.keys(readStorage(STORAGE_KEYS.saved, {})).sort();
+}
+
+function saveNamedProblem(name, entry) {
+	const saved = readStorage(STORAGE_KEYS.saved, {});
+	saved[name] = { ...entry, savedAt: new Date().toISOString() };
+	return writeStorage(STORAGE_KEYS.saved, saved);
+}
+
+function loadNamedProblem(name) {
+	return readStorage(STORAGE_KEYS.saved, {})[name] || null;
+}
+
+// INCLUDE fragments of the page are saved problems, resolved by name
+function resolveSavedInclude(name) {
+	const entry = loadNamedProblem(name);
+	if (!entry) throw new Error(`No saved problem named '${name}' to INCLUDE`);
+	return entry.text;
+}
+
+function deleteNamedProblem(name) {
+	const saved = readStorage(STORAGE_KEYS.saved, {});
+	delete saved[name];
+	return writeStorage(STORAGE_KEYS.saved, saved);
+}
+
+// --- Share links ---
+
+function bytesToBase64Url(bytes) {
+	let binary = '';
+	// Chunked, String.fromCharCode can't take very large argument lists
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+	const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+	const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+	return new Uint8Array(await response.arrayBuffer());
+}
+
+// payload: { text, seed (number or null), solution (optional) }
+async function encodeShareFragment(payload) {
+	const bytes = new TextEncoder().encode(JSON.stringify(payload));
+	if (typeof CompressionStream === 'undefined') {
+		return SHARE_PREFIX_PLAIN + bytesToBase64Url(bytes);
+	}
+	const compressed = await transformBytes(bytes, new CompressionStream('deflate'));
+	return SHARE_PREFIX_COMPRESSED + bytesToBase64Url(compressed);
+}
+
+// Returns the payload of a share fragment (without '#'), or null if the fragment is not a share link.
+// Throws if it is one but can't be read.
+async function decodeShareFragment(fragment) {
+	let bytes;
+	if (fragment.startsWith(SHARE_PREFIX_COMPRESSED)) {
+		if (typeof DecompressionStream === 'undefined') {
+			throw new Error('This browser cannot open compressed share links.');
+		}
+		const compressed = base64UrlToBytes(fragment.slice(SHARE_PREFIX_COMPRESSED.length));
+		bytes = await transformBytes(compressed, new DecompressionStream('deflate'));
+	} else if (fragment.startsWith(SHARE_PREFIX_PLAIN)) {
+		bytes = base64UrlToBytes(fragment.slice(SHARE_PREFIX_PLAIN.length));
+	} else {
+		return null;
+	}
+
+	const payload = JSON.parse(new TextDecoder().decode(bytes));
+	if (typeof payload.text !== 'string') throw new Error('Share link contains no problem.');
+	return payload;
+}
@@ -0,0 +1,215 @@
+// js/structures.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(
+		globalThis,
+		require('./utils.js'),
+		require('./linking-models.js'),
+		require('./format.js'),
+		require('./zip.js'),
+		require('./nbt.js')
+	);
+}
+
+// Structure export: one vanilla structure (.nbt) and optionally one Litematica schematic (.litematic)
+// per solved portal, with the obsidian frame and the portal blocks. Java Edition only.
+// A structure's origin is the lowest corner of the portal's frame, it is placed there unrotated.
+
+const LITEMATIC_VERSION = 5;
+
+// Frame and portal blocks of a portal relative to the structure origin.
+// Returns { origin, size, palette, blocks }, blocks as { pos, state } with state indexing the palette.
+function getPortalStructure(portalPos, portal) {
+	const frame = getPortalFrame(portalPos, portal);
+	const size = vec3(frame.max.x - frame.min.x + 1, frame.max.y - frame.min.y + 1, frame.max.z - frame.min.z + 1);
+	const palette = [
+		{ Name: 'minecraft:obsidian' },
+		{ Name: 'minecraft:nether_portal', Properties: { axis: portal.face === 'X' ? 'z' : 'x' } }, // Axis is opposite of facing
+	];
+	const inner = getPortalExtent(portal);
+	const innerMin = vec3(portalPos.x - frame.min.x, portalPos.y - frame.min.y, portalPos.z - frame.min.z);
+
+	const blocks = [];
+	for (let y = 0; y < size.y; y++) {
+		for (let z = 0; z < size.z; z++) {
+			for (let x = 0; x < size.x; x++) {
+				const isPortal =
+					x >= innerMin.x &&
+					x <= innerMin.x + inner.x &&
+					y >= innerMin.y &&
+					y <= innerMin.y + inner.y &&
+					z >= innerMin.z &&
+					z <= innerMin.z + inner.z;
+				blocks.push({ pos: vec3(x, y, z), state: isPortal ? 1 : 0 });
+			}
+		}
+	}
+	return { origin: frame.min, size, palette, blocks };
+}
+
+function blockStateNbt(state) {
+	const entries = { Name: Nbt.string(state.Name) };
+	if (state.Properties) {
+		const properties = {};
+		for (const [key, value] of Object.entries(state.Properties)) properties[key] = Nbt.string(value);
+		entries.Properties = Nbt.compound(properties);
+	}
+	return Nbt.compound(entries);
+}
+
+function intList(values) {
+	return Nbt.list(NbtTag.INT, values.map(Nbt.int));
+}
+
+// Vanilla structure file content, as saved by a structure block
+function createStructureNbt(structure, dataVersion) {
+	return Nbt.compound({
+		DataVersion: Nbt.int(dataVersion),
+		size: intList([structure.size.x, structure.size.y, structure.size.z]),
+		palette: Nbt.list(NbtTag.COMPOUND, structure.palette.map(blockStateNbt)),
+		blocks: Nbt.list(
+			NbtTag.COMPOUND,
+			structure.blocks.map((block) =>
+				Nbt.compound({ pos: intList([block.pos.x, block.pos.y, block.pos.z]), state: Nbt.int(block.state) })
+			)
+		),
+		entities: Nbt.list(NbtTag.COMPOUND, []),
+	});
+}
+
+// Litematica stores a region's blocks as palette indices packed into longs, entries may span two longs.
+// Index order is Y, then Z, then X.
+function packLitematicBlockStates(indices, paletteSize) {
+	const bits = Math.max(2, Math.ceil(Math.log2(paletteSize)));
+	const longs = new Array(Math.ceil((indices.length * bits) / 64)).fill(0n);
+	indices.forEach((value, i) => {
+		const start = i * bits;
+		const longIndex = Math.floor(start / 64);
+		const offset = start % 64;
+		longs[longIndex] |= BigInt(value) << BigInt(offset);
+		if (offset + bits > 64) longs[longIndex + 1] |= BigInt(value) >> BigInt(64 - offset);
+	});
+	return longs.map((value) => BigInt.asIntN(64, value));
+}
+
+// Litematica schematic with a single region named after the portal
+function createLitematicNbt(structure, name, dataVersion) {
+	const { size } = structure;
+	const palette = [{ Name: 'minecraft:air' }, ...structure.palette]; // Litematica needs air at index 0
+	const indices = new Array(size.x * size.y * size.z).fill(0);
+	for (const block of structure.blocks) {
+		indices[(block.pos.y * size.z + block.pos.z) * size.x + block.pos.x] = block.state + 1;
+	}
+	const now = Nbt.long(Date.now());
+	const sizeNbt = Nbt.compound({ x: Nbt.int(size.x), y: Nbt.int(size.y), z: Nbt.int(size.z) });
+
+	return Nbt.compound({
+		Version: Nbt.int(LITEMATIC_VERSION),
+		MinecraftDataVersion: Nbt.int(dataVersion),
+		Metadata: Nbt.compound({
+			Name: Nbt.string(name),
+			Author: Nbt.string('Nether Portal Solver'),
+			Description: Nbt.string(`Nether portal ${name}`),
+			RegionCount: Nbt.int(1),
+			TotalVolume: Nbt.int(indices.length),
+			TotalBlocks: Nbt.int(structure.blocks.length),
+			TimeCreated: now,
+			TimeModified: now,
+			EnclosingSize: sizeNbt,
+		}),
+		Regions: Nbt.compound({
+			[name]: Nbt.compound({
+				Position: Nbt.compound({ x: Nbt.int(0), y: Nbt.int(0), z: Nbt.int(0) }),
+				Size: sizeNbt,
+				BlockStatePalette: Nbt.list(NbtTag.COMPOUND, palette.map(blockStateNbt)),
+				BlockStates: Nbt.longArray(packLitematicBlockStates(indices, palette.length)),
+				TileEntities: Nbt.list(NbtTag.COMPOUND, []),
+				Entities: Nbt.list(NbtTag.COMPOUND, []),
+				PendingBlockTicks: Nbt.list(NbtTag.COMPOUND, []),
+				PendingFluidTicks: Nbt.list(NbtTag.COMPOUND, []),
+			}),
+		}),
+	});
+}
+
+// File names usable as structure ids (lowercase, no spaces), unique even if portal names only differ in case
+function getStructureFileNames(names) {
+	const used = new Set();
+	return names.map((name) => {
+		const base = name.toLowerCase().replace(/[^a-z0-9_.-]/g, '_');
+		let fileName = base;
+		for (let i = 2; used.has(fileName); i++) fileName = `${base}_${i}`;
+		used.add(fileName);
+		return fileName;
+	});
+}
+
+function formatStructurePlacements(problem, placements) {
+	const syntax = getLinkingModel(problem.version).commands;
+	let text = 'Nether portal structures generated by the Nether Portal Solver.\n';
+	text += 'Place each structure unrotated and unmirrored with its lowest corner at the origin.\n\n';
+	text +=
+		'Structure blocks: copy the .nbt files to <world>/generated/minecraft/structures/ (structure/ since 1.21)\n';
+	text += 'and load them as minecraft:<file name>, or use the /place template command below (1.19+).\n';
+	text += 'Litematica: copy the .litematic files to the schematics folder and set the placement origin.\n';
+	for (const placement of placements) {
+		const { origin, size } = placement;
+		text += `\n${placement.name}\n`;
+		text += `  Files: ${placement.files.join(', ')}\n`;
+		text += `  Dimension: ${placement.dim === Constants.N_DIM ? 'Nether' : 'Overworld'}\n`;
+		text += `  Origin: ${origin.x} ${origin.y} ${origin.z}\n`;
+		text += `  Size: ${size.x} x ${size.y} x ${size.z}\n`;
+		text += `  Command: ${syntax.dimensionPrefix(placement.dim)} place template minecraft:${placement.fileName} ${
+			origin.x
+		} ${origin.y} ${origin.z}\n`;
+	}
+	return text;
+}
+
+// Builds the structure files of a solution as a zip with a placements.txt that lists every structure's
+// origin and dimension. Returns { fileName, bytes, placements }, or null if the solution places no portals.
+// Throws for editions without Java structure files.
+async function createPortalStructures(problem, solution, options = {}) {
+	const dataVersion = getLinkingModel(problem.version).commands.structureDataVersion;
+	if (!dataVersion) throw new Error('Structure files are only available for Java Edition versions.');
+	if (!solution) return null;
+	const built = getBuiltPortals(problem, solution);
+	if (built.length === 0) return null;
+
+	const fileNames = getStructureFileNames(built.map(({ name }) => name));
+	const files = [];
+	const placements = [];
+	for (let i = 0; i < built.length; i++) {
+		const { name, portal, pos } = built[i];
+		const fileName = fileNames[i];
+		const structure = getPortalStructure(pos, portal);
+		const placement = {
+			name,
+			fileName,
+			dim: portal.dim,
+			origin: structure.origin,
+			size: structure.size,
+			files: [],
+		};
+
+		files.push({
+			name: `${fileName}.nbt`,
+			data: await writeGzippedNbt(createStructureNbt(structure, dataVersion)),
+		});
+		placement.files.push(`${fileName}.nbt`);
+		if (options.includeLitematic) {
+			const litematic = createLitematicNbt(structure, name, dataVersion);
+			files.push({ name: `${fileName}.litematic`, data: await writeGzippedNbt(litematic) });
+			placement.files.push(`${fileName}.litematic`);
+		}
+		placements.push(placement);
+	}
+	files.push({ name: 'placements.txt', data: formatStructurePlacements(problem, placements) });
+
+	return { fileName: 'portal-structures.zip', bytes: createZip(files), placements };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { getPortalStructure, createStructureNbt, createLitematicNbt, createPortalStructures };
+}
@@ -7,7 +7,16 @@ const Constants = {
 	N_SCALE: 8,
 	O_SEARCH_RADIUS: 128,
 	N_SEARCH_RADIUS: 16,
-	ENTITY_DECIMAL_OFFSET: { x: 0.5, y: 0.0, z: 0.5 }, // Portal center offset
+	ENTITY_DECIMAL_OFFSET: { x: 0.5, y: 0.0, z: 0.5 }, // Portal center offset (Java, see linking-models.js)
+	NETHER_ROOF_Y: 128, // Lowest block above the Nether's bedrock ceiling
+	DEFAULT_ENTITY_PROFILE: 'default', // Entity profile of links without a profile list, sized by ENTITY_SIZE
+	ENTRY_SAMPLES_PER_BLOCK: 4, // Resolution of the entry heatmaps along a portal's width and height
+	PARETO_MAX_SOLUTIONS: 8, // Alternative layouts kept for several OPTIMIZE goals
+	// Inner portal size limits (portal blocks only, without the obsidian frame)
+	MIN_PORTAL_WIDTH: 2,
+	MAX_PORTAL_WIDTH: 21,
+	MIN_PORTAL_HEIGHT: 3,
+	MAX_PORTAL_HEIGHT: 21,
 };
 
 function vec3(x = 0, y = 0, z = 0) {
@@ -37,14 +46,8 @@ function distSq(p1, p2) {
 	return dx * dx + dy * dy + dz * dz;
 }
 
-function getCoordScale(destinationDimension) {
-	// If destination is Nether, the travel was O -> N, use O_SCALE (1/8)
-	// If destination is Overworld, the travel was N -> O, use N_SCALE (8)
-	return destinationDimension === Constants.N_DIM ? Constants.O_SCALE : Constants.N_SCALE;
-}
-
-function getSearchRadius(dimension) {
-	return dimension === Constants.N_DIM ? Constants.N_SEARCH_RADIUS : Constants.O_SEARCH_RADIUS;
+function getOtherDimension(dimension) {
+	return dimension === Constants.N_DIM ? Constants.O_DIM : Constants.N_DIM;
 }
 
 // Convert N-coords to O-coords for optimization distance calc
@@ -81,31 +84,142 @@ function calculateOptimizationDistancePosSq(portal1, targetPosO, portalData) {
 	return distSq(pos1_O, targetPosO);
 }
 
-// Get entity test positions based on portal center, facing, and width
-function getEntityTestPositions(portalPosInt, facing, entityWidth) {
-	const center = addVec3(portalPosInt, Constants.ENTITY_DECIMAL_OFFSET);
+// Input line of a relative constraint (NEAR, FAR, SAME_Y or OFFSET), for messages and canonical input text
+function formatRelativeConstraint(constraint) {
+	const text = `${constraint.type} ${constraint.p1} ${constraint.p2}`;
+	if (constraint.type === 'OFFSET')
+		return `${text} ${constraint.offset.x} ${constraint.offset.y} ${constraint.offset.z}`;
+	return constraint.type === 'SAME_Y' ? text : `${text} ${constraint.distance}`;
+}
+
+// Get entity test positions across the portal surface: the center of every block column plus the
+// outermost positions an entity of the given width can enter at, repeated for every block row
+function getEntityTestPositions(
+	portalPosInt,
+	facing,
+	entityWidth,
+	portalWidth = 1,
+	portalHeight = 1,
+	entityOffset = Constants.ENTITY_DECIMAL_OFFSET
+) {
+	const base = addVec3(portalPosInt, entityOffset);
 	const halfWidth = entityWidth / 2.0;
-	const testPositions = [center]; // Always test the center
 
-	if (facing === 'X') {
-		// Entity spread is along Z
-		testPositions.push({ x: center.x, y: center.y, z: center.z + halfWidth });
-		testPositions.push({ x: center.x, y: center.y, z: center.z - halfWidth });
-	} else {
-		// facing === 'Z'
-		// Entity spread is along X
-		testPositions.push({ x: center.x + halfWidth, y: center.y, z: center.z });
-		testPositions.push({ x: center.x - halfWidth, y: center.y, z: center.z });
+	// Offsets along the portal's width axis, the center of the first column is always tested first
+	const offsets = [];
+	for (let column = 0; column < portalWidth; column++) {
+		offsets.push(column);
+	}
+	offsets.push(portalWidth - 1 + halfWidth);
+	offsets.push(-halfWidth);
+
+	const testPositions = [];
+	for (let row = 0; row < portalHeight; row++) {
+		for (const offset of offsets) {
+			if (facing === 'X') {
+				// Entity spread is along Z
+				testPositions.push({ x: base.x, y: base.y + row, z: base.z + offset });
+			} else {
+				// facing === 'Z'
+				// Entity spread is along X
+				testPositions.push({ x: base.x + offset, y: base.y + row, z: base.z });
+			}
+		}
 	}
 	return testPositions;
 }
 
+// Size of a portal's block area minus one along each axis. Portals facing X extend along Z and vice versa.
+// The portal position is its lowest corner block.
+function getPortalExtent(portal) {
+	const widthExtent = portal.width - 1;
+	const heightExtent = portal.height - 1;
+	return portal.face === 'X' ? vec3(0, heightExtent, widthExtent) : vec3(widthExtent, heightExtent, 0);
+}
+
+// Corners of the obsidian frame around a portal's block area: one block wider on both sides and above and below
+function getPortalFrame(portalPos, portal) {
+	const max = addVec3(portalPos, getPortalExtent(portal));
+	const frameOffset = portal.face === 'X' ? vec3(0, 1, 1) : vec3(1, 1, 0);
+	return {
+		min: vec3(portalPos.x - frameOffset.x, portalPos.y - frameOffset.y, portalPos.z - frameOffset.z),
+		max: addVec3(max, frameOffset),
+	};
+}
+
+// The portal block closest to a point. The linking search finds individual portal blocks.
+function closestPortalBlock(point, portalPos, portal) {
+	const extent = getPortalExtent(portal);
+	return vec3(
+		clamp(point.x, portalPos.x, portalPos.x + extent.x),
+		clamp(point.y, portalPos.y, portalPos.y + extent.y),
+		clamp(point.z, portalPos.z, portalPos.z + extent.z)
+	);
+}
+
+// Center of the bottom row of a portal's surface, where an entity standing in the middle would be
+function getPortalCenter(portalPos, portal) {
+	const extent = getPortalExtent(portal);
+	return vec3(portalPos.x + (extent.x + 1) / 2, portalPos.y, portalPos.z + (extent.z + 1) / 2);
+}
+
 // Clamp value within range
 function clamp(value, min, max) {
 	return Math.max(min, Math.min(value, max));
 }
 
 // Get random integer between min (inclusive) and max (inclusive)
-function randomInt(min, max) {
-	return Math.floor(Math.random() * (max - min + 1)) + min;
+function randomInt(min, max, random = Math.random) {
+	return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// Seeded pseudo random number generator (mulberry32), returns floats in [0, 1) like Math.random
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return function () {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Random seed for runs without a fixed one (unsigned 32 bit integer)
+function randomSeed() {
+	return Math.floor(Math.random() * 4294967296);
+}
+
+// Parse a seed given as text, returns null if it is not an unsigned 32 bit integer
+function parseSeed(text) {
+	if (!/^\d+$/.test(text)) return null;
+	const seed = Number(text);
+	return seed <= 4294967295 ? seed : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		Constants,
+		vec3,
+		copyVec3,
+		addVec3,
+		floorVec3,
+		scaleVec3XZ,
+		distSq,
+		getOtherDimension,
+		convertToOverworld,
+		calculateOptimizationDistanceSq,
+		calculateOptimizationDistancePosSq,
+		formatRelativeConstraint,
+		getEntityTestPositions,
+		getPortalExtent,
+		getPortalFrame,
+		closestPortalBlock,
+		getPortalCenter,
+		clamp,
+		randomInt,
+		createRandom,
+		randomSeed,
+		parseSeed,
+	};
 }
@@ -0,0 +1,258 @@
+// js/world-import.js
+
+if (typeof module !== 'undefined' && module.exports) {
+	// Node: load the browser globals this file depends on
+	Object.assign(globalThis, require('./utils.js'), require('./nbt.js'));
+}
+
+// Import of existing portals from a Java Edition world. The game keeps every nether portal block as a point
+// of interest (POI) in the region files under poi/ (Overworld) and DIM-1/poi/ (Nether). The importer reads
+// the regions that overlap an area, collects the portal blocks and groups touching blocks into portals.
+
+const REGION_SIZE = 512; // Blocks per region side
+const REGION_SECTOR_BYTES = 4096;
+const NETHER_PORTAL_POI = 'minecraft:nether_portal';
+
+// Dimension and region coordinates of a POI region file path, or null for other files.
+// Paths are relative to anything above the world folder, e.g. 'MyWorld/DIM-1/poi/r.0.-1.mca'.
+function parsePoiRegionPath(path) {
+	const match = path.replace(/\\/g, '/').match(/(?:^|\/)(?:(DIM-?\d+)\/)?poi\/r\.(-?\d+)\.(-?\d+)\.mca$/);
+	if (!match) return null;
+	const [, dimFolder, regionX, regionZ] = match;
+	if (dimFolder && dimFolder !== 'DIM-1') return null; // The End and custom dimensions
+	return { dim: dimFolder ? Constants.N_DIM : Constants.O_DIM, regionX: Number(regionX), regionZ: Number(regionZ) };
+}
+
+// The import area in a dimension's own coordinates. The area is given in Overworld X/Z,
+// the Nether part is the same area scaled down.
+function getImportArea(area, dim) {
+	if (dim === Constants.O_DIM) return area;
+	return {
+		minX: Math.floor(area.minX * Constants.O_SCALE),
+		minZ: Math.floor(area.minZ * Constants.O_SCALE),
+		maxX: Math.floor(area.maxX * Constants.O_SCALE),
+		maxZ: Math.floor(area.maxZ * Constants.O_SCALE),
+	};
+}
+
+// Sizes parsePortalSize accepts, a single block stands for a portal without size
+function isValidPortalSize(width, height) {
+	if (width === 1 && height === 1) return true;
+	return (
+		width >= Constants.MIN_PORTAL_WIDTH &&
+		width <= Constants.MAX_PORTAL_WIDTH &&
+		height >= Constants.MIN_PORTAL_HEIGHT &&
+		height <= Constants.MAX_PORTAL_HEIGHT
+	);
+}
+
+// The area grown by the largest portal size, so regions holding the rest of a portal that reaches into
+// the area are read too
+function growArea(area) {
+	const margin = Constants.MAX_PORTAL_WIDTH;
+	return {
+		minX: area.minX - margin,
+		minZ: area.minZ - margin,
+		maxX: area.maxX + margin,
+		maxZ: area.maxZ + margin,
+	};
+}
+
+function regionOverlapsArea(region, area) {
+	const minX = region.regionX * REGION_SIZE;
+	const minZ = region.regionZ * REGION_SIZE;
+	return (
+		minX <= area.maxX &&
+		minX + REGION_SIZE - 1 >= area.minX &&
+		minZ <= area.maxZ &&
+		minZ + REGION_SIZE - 1 >= area.minZ
+	);
+}
+
+async function inflate(bytes, format) {
+	const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Reads the chunks of a region file (.mca). Returns { chunks, warnings }, chunks being the NBT root values.
+// Chunks that can't be read are skipped with a warning.
+async function readRegionChunks(bytes, fileLabel = 'region file') {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const chunks = [];
+	const warnings = [];
+	if (bytes.length < 2 * REGION_SECTOR_BYTES) return { chunks, warnings }; // Empty regions have no header
+
+	for (let index = 0; index < 1024; index++) {
+		const location = view.getUint32(index * 4);
+		const sectorOffset = location >>> 8;
+		if (sectorOffset === 0) continue; // Chunk not present
+		const start = sectorOffset * REGION_SECTOR_BYTES;
+		const chunkLabel = `chunk ${index % 32},${Math.floor(index / 32)} of ${fileLabel}`;
+		if (start + 5 > bytes.length) {
+			warnings.push(`Skipped ${chunkLabel}: it lies beyond the end of the file.`);
+			continue;
+		}
+
+		const length = view.getUint32(start);
+		const compression = view.getUint8(start + 4);
+		const data = bytes.subarray(start + 5, start + 4 + length);
+		try {
+			let raw;
+			if (compression === 1) raw = await inflate(data, 'gzip');
+			else if (compression === 2) raw = await inflate(data, 'deflate');
+			else if (compression === 3) raw = data;
+			else if (compression & 128) throw new Error('it is stored in a separate .mcc file');
+			else throw new Error(`compression type ${compression} is not supported (use zlib region compression)`);
+			chunks.push(readNbt(raw).value);
+		} catch (error) {
+			warnings.push(`Skipped ${chunkLabel}: ${error.message}`);
+		}
+	}
+	return { chunks, warnings };
+}
+
+// Nether portal POI positions of a POI chunk.
+// POI chunks keep records per section: { Sections: { <y>: { Valid, Records: [{ type, pos }] } } }.
+function getPortalPoiPositions(chunk) {
+	const positions = [];
+	for (const section of Object.values(chunk.Sections || {})) {
+		for (const record of section.Records || []) {
+			if (record.type !== NETHER_PORTAL_POI || !record.pos) continue;
+			const [x, y, z] = record.pos;
+			positions.push(vec3(x, y, z));
+		}
+	}
+	return positions;
+}
+
+// Groups touching portal blocks of one dimension into portals { dim, face, pos, width, height }.
+// A portal's position is its lowest corner block, like in the solver. Groups whose size is no portal size of
+// the input format (2x3 up to 21x21, or a single block) are left out with a warning, so are groups outside
+// the area ({ minX, minZ, maxX, maxZ }, if given). Returns { portals, warnings }.
+function groupPortalBlocks(positions, dim, area = null) {
+	const key = (pos) => `${pos.x},${pos.y},${pos.z}`;
+	const remaining = new Map(positions.map((pos) => [key(pos), pos]));
+	const portals = [];
+	const warnings = [];
+
+	for (const start of positions) {
+		if (!remaining.has(key(start))) continue;
+		remaining.delete(key(start));
+		const blocks = [start];
+		for (let i = 0; i < blocks.length; i++) {
+			const pos = blocks[i];
+			for (const [dx, dy, dz] of [
+				[1, 0, 0],
+				[-1, 0, 0],
+				[0, 1, 0],
+				[0, -1, 0],
+				[0, 0, 1],
+				[0, 0, -1],
+			]) {
+				const neighbourKey = key(vec3(pos.x + dx, pos.y + dy, pos.z + dz));
+				if (!remaining.has(neighbourKey)) continue;
+				blocks.push(remaining.get(neighbourKey));
+				remaining.delete(neighbourKey);
+			}
+		}
+
+		const min = vec3(...['x', 'y', 'z'].map((axis) => Math.min(...blocks.map((pos) => pos[axis]))));
+		const max = vec3(...['x', 'y', 'z'].map((axis) => Math.max(...blocks.map((pos) => pos[axis]))));
+		if (area && (min.x > area.maxX || max.x < area.minX || min.z > area.maxZ || max.z < area.minZ)) continue;
+		const at = `${dim} portal at (${min.x}, ${min.y}, ${min.z})`;
+		// Portals facing X extend along Z, see getPortalExtent
+		const face = max.z > min.z ? 'X' : 'Z';
+		const width = face === 'X' ? max.z - min.z + 1 : max.x - min.x + 1;
+		const height = max.y - min.y + 1;
+		if (!isValidPortalSize(width, height)) {
+			warnings.push(
+				`The ${at} is ${width}x${height} blocks, which is no valid portal size ` +
+					`(${Constants.MIN_PORTAL_WIDTH}x${Constants.MIN_PORTAL_HEIGHT} up to ` +
+					`${Constants.MAX_PORTAL_WIDTH}x${Constants.MAX_PORTAL_HEIGHT}), it is not imported.`
+			);
+			continue;
+		}
+		if (max.x > min.x && max.z > min.z) {
+			warnings.push(`The ${at} extends along X and Z (touching portals?), check its facing and size.`);
+		} else if (max.x === min.x && max.z === min.z) {
+			warnings.push(`The ${at} is a single block, its facing could not be determined.`);
+		}
+		if (blocks.length !== width * height && !(max.x > min.x && max.z > min.z)) {
+			warnings.push(`The ${at} is not a filled rectangle, it is imported as its bounding box.`);
+		}
+		portals.push({ dim, face, pos: min, width, height });
+	}
+	return { portals, warnings };
+}
+
+// Reads the portals in an area from POI region files. Portals that reach into the area are imported whole.
+// regionFiles: [{ path, read }] with read() resolving to the file's bytes, files other than POI regions are ignored.
+// area: { minX, minZ, maxX, maxZ } in Overworld coordinates. Returns { portals, warnings, regionCount }.
+async function importWorldPortals(regionFiles, area) {
+	const positions = { [Constants.O_DIM]: [], [Constants.N_DIM]: [] };
+	const dimAreas = {
+		[Constants.O_DIM]: getImportArea(area, Constants.O_DIM),
+		[Constants.N_DIM]: getImportArea(area, Constants.N_DIM),
+	};
+	const warnings = [];
+	let regionCount = 0;
+
+	for (const file of regionFiles) {
+		const region = parsePoiRegionPath(file.path);
+		if (!region) continue;
+		if (!regionOverlapsArea(region, growArea(dimAreas[region.dim]))) continue;
+
+		regionCount++;
+		const { chunks, warnings: regionWarnings } = await readRegionChunks(await file.read(), file.path);
+		warnings.push(...regionWarnings);
+		for (const chunk of chunks) {
+			positions[region.dim].push(...getPortalPoiPositions(chunk));
+		}
+	}
+
+	const portals = [];
+	for (const dim of [Constants.O_DIM, Constants.N_DIM]) {
+		const grouped = groupPortalBlocks(positions[dim], dim, dimAreas[dim]);
+		portals.push(...grouped.portals);
+		warnings.push(...grouped.warnings);
+	}
+	// Overworld first, then by position
+	const dimOrder = (portal) => (portal.dim === Constants.O_DIM ? 0 : 1);
+	portals.sort((a, b) => dimOrder(a) - dimOrder(b) || a.pos.x - b.pos.x || a.pos.z - b.pos.z || a.pos.y - b.pos.y);
+	return { portals, warnings, regionCount };
+}
+
+// Problem input lines for imported portals. mode is 'FIXED', 'FOREIGN' or 'PORTAL', the last one declares
+// movable portals with a POS INC box at their current position. Names are <prefix><dimension><number>
+// and skip names in takenNames.
+function formatImportedPortals(portals, mode = 'FIXED', prefix = 'Existing', takenNames = new Set()) {
+	const lines = [`# ${portals.length} portal${portals.length === 1 ? '' : 's'} imported from world POI files`];
+	const counters = {};
+	for (const portal of portals) {
+		let name;
+		do {
+			counters[portal.dim] = (counters[portal.dim] || 0) + 1;
+			name = `${prefix}${portal.dim}${counters[portal.dim]}`;
+		} while (takenNames.has(name));
+
+		const { pos } = portal;
+		const size = portal.width === 1 && portal.height === 1 ? '' : ` ${portal.width} ${portal.height}`;
+		if (mode === 'PORTAL') {
+			lines.push(`PORTAL ${name} ${portal.dim} ${portal.face}${size}`);
+			lines.push(`POS ${name} INC ${pos.x} ${pos.y} ${pos.z} ${pos.x} ${pos.y} ${pos.z}`);
+		} else {
+			lines.push(`${mode} ${name} ${portal.dim} ${portal.face} ${pos.x} ${pos.y} ${pos.z}${size}`);
+		}
+	}
+	return lines;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		parsePoiRegionPath,
+		readRegionChunks,
+		groupPortalBlocks,
+		importWorldPortals,
+		formatImportedPortals,
+	};
+}
@@ -0,0 +1,98 @@
+// js/zip.js
+
+// Minimal zip writer for exports. Files are stored without compression, which every zip reader
+// (and Minecraft's pack loader) accepts, and keeps this free of dependencies.
+
+const CRC32_TABLE = (() => {
+	const table = new Uint32Array(256);
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		}
+		table[n] = c >>> 0;
+	}
+	return table;
+})();
+
+function crc32(bytes) {
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) {
+		crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields of a zip entry (local time, 2 second resolution)
+function toDosDateTime(date) {
+	const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+	const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+	return { time, date: day };
+}
+
+// files: [{ name, data }] with data as a string (written as UTF-8) or Uint8Array. Returns the zip as a Uint8Array.
+function createZip(files, modified = new Date()) {
+	const encoder = new TextEncoder();
+	const dosTime = toDosDateTime(modified);
+	const localParts = [];
+	const centralParts = [];
+	let offset = 0;
+
+	for (const file of files) {
+		const name = encoder.encode(file.name);
+		const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+		const crc = crc32(data);
+
+		// Shared fields of the local header (from offset 4) and the central directory entry (from offset 6)
+		const writeEntryFields = (view, at) => {
+			view.setUint16(at, 20, true); // Version needed to extract
+			view.setUint16(at + 2, 0x0800, true); // Flags: names are UTF-8
+			view.setUint16(at + 4, 0, true); // Method: stored
+			view.setUint16(at + 6, dosTime.time, true);
+			view.setUint16(at + 8, dosTime.date, true);
+			view.setUint32(at + 10, crc, true);
+			view.setUint32(at + 14, data.length, true); // Compressed size
+			view.setUint32(at + 18, data.length, true); // Uncompressed size
+			view.setUint16(at + 22, name.length, true);
+		};
+
+		const local = new Uint8Array(30 + name.length);
+		const localView = new DataView(local.buffer);
+		localView.setUint32(0, 0x04034b50, true);
+		writeEntryFields(localView, 4);
+		local.set(name, 30);
+
+		const central = new Uint8Array(46 + name.length);
+		const centralView = new DataView(central.buffer);
+		centralView.setUint32(0, 0x02014b50, true);
+		centralView.setUint16(4, 20, true); // Version made by
+		writeEntryFields(centralView, 6);
+		centralView.setUint32(42, offset, true); // Offset of the local header
+		central.set(name, 46);
+
+		localParts.push(local, data);
+		centralParts.push(central);
+		offset += local.length + data.length;
+	}
+
+	const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+	const end = new Uint8Array(22);
+	const endView = new DataView(end.buffer);
+	endView.setUint32(0, 0x06054b50, true);
+	endView.setUint16(8, files.length, true); // Entries on this disk
+	endView.setUint16(10, files.length, true); // Entries in total
+	endView.setUint32(12, centralSize, true);
+	endView.setUint32(16, offset, true); // Start of the central directory
+
+	const zip = new Uint8Array(offset + centralSize + end.length);
+	let position = 0;
+	for (const part of [...localParts, ...centralParts, end]) {
+		zip.set(part, position);
+		position += part.length;
+	}
+	return zip;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { crc32, createZip };
+}
@@ -0,0 +1,70 @@
+// test/world-import.js
+
+// Checks the POI region reader against the region files in test/fixtures/world. Run with: node test/world-import.js
+//
+// poi/r.0.0.mca (Overworld region 0,0):
+//   chunk 0,1   zlib         2x3 portal facing X at (10, 64, 20..21), next to a bed POI
+//   chunk 18,18 gzip         two portal blocks in a single column at (300, 70..71, 300)
+//   chunk 5,0   uncompressed two sectors of bed POIs and a 2x3 portal facing Z at (80..81, 64, 10)
+//   chunk 7,0                stored in a separate .mcc file
+// DIM-1/poi/r.-1.0.mca (Nether region -1,0):
+//   chunk 31,0  zlib         4x5 portal facing Z at (-5..-2, 76, 3), split over sections 4 and 5
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { importWorldPortals, formatImportedPortals } = require('../js/world-import.js');
+const { parseProblemDiagnostics } = require('../js/parser.js');
+
+const worldFolder = path.join(__dirname, 'fixtures', 'world');
+const regionFiles = ['poi/r.0.0.mca', 'DIM-1/poi/r.-1.0.mca'].map((file) => ({
+	path: `world/${file}`,
+	read: async () => new Uint8Array(fs.readFileSync(path.join(worldFolder, file))),
+}));
+
+async function main() {
+	const all = await importWorldPortals(regionFiles, { minX: -100, minZ: -100, maxX: 400, maxZ: 400 });
+	assert.equal(all.regionCount, 2);
+	assert.deepEqual(formatImportedPortals(all.portals), [
+		'# 3 portals imported from world POI files',
+		'FIXED ExistingO1 O X 10 64 20 2 3',
+		'FIXED ExistingO2 O Z 80 64 10 2 3',
+		'FIXED ExistingN1 N Z -5 76 3 4 5',
+	]);
+	assert.deepEqual(all.warnings, [
+		'Skipped chunk 7,0 of world/poi/r.0.0.mca: it is stored in a separate .mcc file',
+		'The O portal at (300, 70, 300) is 1x2 blocks, which is no valid portal size (2x3 up to 21x21), it is not imported.',
+	]);
+
+	// Every import mode gives input the parser accepts
+	for (const mode of ['FIXED', 'FOREIGN', 'PORTAL']) {
+		const text = formatImportedPortals(all.portals, mode).join('\n');
+		const errors = parseProblemDiagnostics(text).diagnostics.filter(
+			(diagnostic) => diagnostic.severity === 'error'
+		);
+		assert.deepEqual(errors, [], `${mode} import`);
+	}
+
+	// Portals reaching into the area are imported whole, the one at X 80..81 only overlaps it at X 81
+	const edge = await importWorldPortals(regionFiles, { minX: 81, minZ: 0, maxX: 200, maxZ: 100 });
+	assert.deepEqual(formatImportedPortals(edge.portals).slice(1), ['FIXED ExistingO1 O Z 80 64 10 2 3']);
+
+	// The area is given in Overworld X/Z, the Nether portal at X -5 is inside it as X -40
+	const near = await importWorldPortals(regionFiles, { minX: -40, minZ: 0, maxX: 80, maxZ: 100 });
+	assert.deepEqual(
+		near.portals.map((portal) => `${portal.dim} ${portal.pos.x} ${portal.pos.y} ${portal.pos.z}`),
+		['O 10 64 20', 'O 80 64 10', 'N -5 76 3']
+	);
+
+	// Regions outside the area are not read
+	const away = await importWorldPortals(regionFiles, { minX: 1000, minZ: 1000, maxX: 1100, maxZ: 1100 });
+	assert.equal(away.regionCount, 0);
+	assert.deepEqual(away.portals, []);
+
+	console.log('world-import: ok');
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});